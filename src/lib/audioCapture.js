@@ -0,0 +1,181 @@
+// src/lib/audioCapture.js
+// Gravação do áudio bruto em paralelo ao reconhecimento, independente do motor.
+// Abre o próprio stream do microfone (o Web Speech não expõe o dele) e grava
+// blocos do MediaRecorder no IndexedDB via persist (store "audio").
+//
+// Cada start()/stop() é uma tomada (take). offsetMs posiciona a tomada na linha
+// do tempo da sessão (a mesma dos segmentos), para exportar e tocar alinhado.
+//
+// Eventos: "error" { code, message }, "debug" string, "saved" { sessionId, take }
+
+import { createEmitter } from "./emitter";
+
+// intervalo entre blocos gravados; perde-se no máximo isso se a aba fechar
+const TIMESLICE_MS = 4000;
+
+const MIME_CANDIDATES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+export function isAudioCaptureSupported() {
+  return typeof window !== "undefined" && !!window.MediaRecorder && !!navigator.mediaDevices?.getUserMedia;
+}
+
+function pickMimeType() {
+  if (!window.MediaRecorder || !MediaRecorder.isTypeSupported) return "";
+  return MIME_CANDIDATES.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+}
+
+export function createAudioCapture(opts) {
+  const { persist } = opts || {};
+  const events = createEmitter();
+
+  let stream = null;
+  let recorder = null;
+  let current = null; // { sessionId, take, offsetMs, mimeType, startedAt, seq, bytes }
+  let writing = Promise.resolve();
+  let stopping = null; // { promise, resolve } enquanto a tomada é encerrada
+  let starting = false;
+  let cancelStart = false; // stop() chegou antes de o microfone abrir
+
+  function dbg(msg) {
+    events.emit("debug", `[Áudio] ${msg}`);
+  }
+
+  function isActive() {
+    return !!recorder;
+  }
+
+  function releaseStream() {
+    if (stream) stream.getTracks().forEach((t) => t.stop());
+    stream = null;
+  }
+
+  // Grava os blocos em fila, na ordem em que chegam
+  function enqueue(blob) {
+    const take = current;
+    const seq = take.seq++;
+    writing = writing.then(async () => {
+      if (take.full) return;
+      const ok = await persist.appendAudioChunk(take.sessionId, take.take, seq, blob);
+      if (ok) {
+        take.bytes += blob.size;
+        return;
+      }
+      take.full = true;
+      events.emit("error", { code: "quota", message: "Armazenamento cheio: a gravação do áudio foi interrompida." });
+      stop();
+    }).catch((e) => {
+      dbg(`Falha ao gravar bloco ${seq}: ${e && e.message ? e.message : e}`);
+    });
+  }
+
+  async function start({ sessionId, offsetMs }) {
+    if (recorder || starting || !persist || !sessionId) return false;
+    if (!isAudioCaptureSupported()) {
+      events.emit("error", { code: "unsupported", message: "Este navegador não grava áudio (MediaRecorder)." });
+      return false;
+    }
+
+    starting = true;
+    cancelStart = false;
+    let takes = [];
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+      takes = await persist.getAudioTakes(sessionId);
+    } catch (e) {
+      events.emit("error", { code: "mic", message: "Sem acesso ao microfone para gravar o áudio." });
+      cancelStart = true;
+    } finally {
+      starting = false;
+    }
+    if (cancelStart) {
+      releaseStream();
+      return false;
+    }
+
+    const mimeType = pickMimeType();
+    current = {
+      sessionId,
+      take: takes.length ? takes[takes.length - 1].take + 1 : 0,
+      offsetMs: Math.max(0, Math.round(offsetMs || 0)),
+      mimeType,
+      startedAt: Date.now(),
+      seq: 0,
+      bytes: 0,
+    };
+
+    recorder = mimeType ? new MediaRecorder(stream, { mimeType }) : new MediaRecorder(stream);
+    current.mimeType = recorder.mimeType || mimeType || "audio/webm";
+
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) enqueue(e.data);
+    };
+    recorder.onstop = () => finishTake();
+    recorder.onerror = (e) => {
+      dbg(`Erro no MediaRecorder: ${e.error ? e.error.name : "desconhecido"}`);
+    };
+
+    recorder.start(TIMESLICE_MS);
+    dbg(`Tomada ${current.take} iniciada (${current.mimeType})`);
+    return true;
+  }
+
+  async function finishTake() {
+    const take = current;
+    recorder = null;
+    current = null;
+    releaseStream();
+
+    await writing;
+    if (take && take.bytes > 0) {
+      const info = {
+        take: take.take,
+        offsetMs: take.offsetMs,
+        durationMs: Date.now() - take.startedAt,
+        mimeType: take.mimeType,
+        bytes: take.bytes,
+        chunks: take.seq,
+        // cota estourada: a tomada termina antes do fim da gravação
+        truncated: !!take.full,
+        startedAt: new Date(take.startedAt).toISOString(),
+      };
+      await persist.saveAudioTake(take.sessionId, info);
+      dbg(`Tomada ${info.take} salva (${Math.round(info.bytes / 1024)} KB)`);
+      events.emit("saved", { sessionId: take.sessionId, take: info.take });
+    }
+
+    const done = stopping;
+    stopping = null;
+    if (done) done.resolve();
+  }
+
+  // Resolve quando o último bloco e o resumo da tomada estão gravados
+  function stop() {
+    if (starting) cancelStart = true;
+    if (stopping) return stopping.promise;
+    if (!recorder) return Promise.resolve();
+
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    stopping = { promise, resolve };
+    try {
+      recorder.stop();
+    } catch (e) {
+      finishTake();
+    }
+    return promise;
+  }
+
+  function destroy() {
+    stop();
+    events.clear();
+  }
+
+  return {
+    start,
+    stop,
+    isActive,
+    destroy,
+    on: events.on,
+    off: events.off,
+  };
+}
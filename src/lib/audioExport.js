@@ -0,0 +1,71 @@
+// src/lib/audioExport.js
+// Exportação do áudio gravado (ver audioCapture.js).
+//   Uma tomada só: o arquivo original do MediaRecorder (.webm/.ogg/.m4a).
+//   Várias tomadas ou WAV: decodifica, posiciona cada tomada no seu offsetMs
+//   (silêncio entre elas, alinhado aos tempos da transcrição) e gera WAV PCM
+//   16 bits mono.
+
+// fala não precisa de mais que isso; mantém o WAV em ~1,9 MB por minuto
+export const WAV_SAMPLE_RATE = 16000;
+
+export function audioExtension(mimeType) {
+  const t = String(mimeType || "");
+  if (t.startsWith("audio/ogg")) return "ogg";
+  if (t.startsWith("audio/mp4")) return "m4a";
+  return "webm";
+}
+
+// Float32 [-1, 1] -> WAV PCM 16 bits mono
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+
+  function text(offset, str) {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  }
+
+  text(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  text(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([buffer], { type: "audio/wav" });
+}
+
+// Decodifica um Blob já reamostrado para sampleRate, em mono
+async function decodeMono(blob, sampleRate) {
+  const ctx = new OfflineAudioContext(1, 1, sampleRate);
+  const audio = await ctx.decodeAudioData(await blob.arrayBuffer());
+  const out = new Float32Array(audio.length);
+  for (let ch = 0; ch < audio.numberOfChannels; ch++) {
+    const data = audio.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) out[i] += data[i] / audio.numberOfChannels;
+  }
+  return out;
+}
+
+// takes: [{ blob, offsetMs }] -> Float32Array na linha do tempo da sessão
+export async function renderTakes(takes, sampleRate = WAV_SAMPLE_RATE) {
+  const decoded = [];
+  for (const t of takes) {
+    decoded.push({ start: Math.round(((t.offsetMs || 0) / 1000) * sampleRate), samples: await decodeMono(t.blob, sampleRate) });
+  }
+
+  const length = decoded.reduce((n, d) => Math.max(n, d.start + d.samples.length), 0);
+  const out = new Float32Array(length);
+  for (const d of decoded) out.set(d.samples, d.start);
+  return out;
+}
@@ -0,0 +1,86 @@
+// src/lib/bookmarks.js
+// Marcadores (bookmarks) e marcas de tempo da transcrição. Funções puras.
+//
+// Marcador: { id, at, note, createdAt }
+//   at em ms na linha do tempo da sessão (a mesma de seg.start/seg.end)
+// Ficam na sessão (sess.bookmarks), ordenados por at.
+
+import { sanitizeLabel } from "./sanitize";
+import { formatMMSS } from "./transcriptStore";
+
+export const MAX_BOOKMARKS = 500;
+
+// Marcas de tempo na transcrição: nenhuma, em todo segmento ou a cada N segundos
+export const TIMESTAMP_MODES = [
+  { value: "off", title: "Sem marcas" },
+  { value: "segment", title: "Em cada segmento" },
+  { value: "interval", title: "A cada intervalo" },
+];
+export const TIMESTAMP_INTERVALS = [15, 30, 60, 120, 300];
+
+let bookmarkCounter = 0;
+
+export function newBookmarkId() {
+  bookmarkCounter++;
+  return `bm_${Date.now().toString(36)}_${bookmarkCounter.toString(36)}`;
+}
+
+export function createBookmark(at, note) {
+  return {
+    id: newBookmarkId(),
+    at: Math.max(0, Math.round(Number(at) || 0)),
+    note: sanitizeLabel(note, 300),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function normalizeBookmarks(list) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const id = sanitizeLabel(raw && raw.id, 80);
+    const at = Number(raw && raw.at);
+    if (!id || seen.has(id) || !Number.isFinite(at)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      at: Math.max(0, Math.round(at)),
+      note: sanitizeLabel(raw.note, 300),
+      createdAt: typeof raw.createdAt === "string" ? raw.createdAt : null,
+    });
+  }
+  out.sort(function(a, b) { return a.at - b.at; });
+  return out.slice(0, MAX_BOOKMARKS);
+}
+
+// Índice do segmento que cobre `at` (ou o primeiro depois dele); -1 se nenhum
+export function segmentIndexAt(segments, at) {
+  const list = segments || [];
+  let best = -1;
+  for (let i = 0; i < list.length; i++) {
+    const s = list[i];
+    if (s.start == null && s.end == null) continue;
+    const end = s.end != null ? s.end : s.start;
+    if (end >= at) return i;
+    best = i;
+  }
+  return best;
+}
+
+// Rótulo de tempo a exibir antes de cada segmento (null = nenhum)
+export function timestampLabels(segments, mode, intervalSec) {
+  const list = segments || [];
+  if (mode === "segment") {
+    return list.map(function(s) { return s.start != null ? formatMMSS(s.start) : null; });
+  }
+  if (mode !== "interval" || !(intervalSec > 0)) return list.map(function() { return null; });
+
+  const step = intervalSec * 1000;
+  let next = 0;
+  return list.map(function(s) {
+    if (s.start == null || s.start < next) return null;
+    const mark = Math.floor(s.start / step) * step;
+    next = mark + step;
+    return formatMMSS(mark);
+  });
+}
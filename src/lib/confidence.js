@@ -0,0 +1,40 @@
+// src/lib/confidence.js
+// Palavras de baixa confiança de um segmento, para destaque na UI.
+// O Web Speech informa confiança por resultado, não por palavra: num segmento
+// abaixo do limiar, são incertas as palavras que não aparecem em todas as
+// alternativas; sem alternativas (ou se todas concordam), o segmento inteiro.
+
+import { foldText } from "./search";
+
+export const DEFAULT_LOW_CONFIDENCE = 0.6;
+
+function wordSet(text) {
+  return new Set(foldText(text).split(/\s+/).filter(Boolean));
+}
+
+// Intervalos [início, fim) das palavras incertas em seg.text
+export function uncertainRanges(seg, threshold = DEFAULT_LOW_CONFIDENCE) {
+  if (!seg || seg.kind || seg.confidence == null || !(threshold > 0)) return [];
+  if (seg.confidence >= threshold) return [];
+
+  const words = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(seg.text))) words.push([m.index, m.index + m[0].length, m[0]]);
+
+  const alts = (seg.alternatives || []).map(function(a) { return wordSet(a.text); });
+  if (alts.length) {
+    const differing = words.filter(function(w) {
+      const key = foldText(w[2]);
+      return !alts.every(function(set) { return set.has(key); });
+    });
+    if (differing.length) return differing.map(function(w) { return [w[0], w[1]]; });
+  }
+
+  return words.map(function(w) { return [w[0], w[1]]; });
+}
+
+// "87%" ou "—"
+export function formatConfidence(value) {
+  return value == null ? "—" : `${Math.round(value * 100)}%`;
+}
@@ -0,0 +1,33 @@
+// src/lib/emitter.js
+// Emissor de eventos mínimo usado pelos motores de transcrição.
+
+export function createEmitter() {
+  const listeners = new Map(); // tipo -> Set<fn>
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return function() { off(type, fn); };
+  }
+
+  function off(type, fn) {
+    const set = listeners.get(type);
+    if (set) set.delete(fn);
+  }
+
+  function emit(type, payload) {
+    const set = listeners.get(type);
+    if (!set) return;
+    for (const fn of Array.from(set)) {
+      try {
+        fn(payload);
+      } catch (e) {}
+    }
+  }
+
+  function clear() {
+    listeners.clear();
+  }
+
+  return { on, off, emit, clear };
+}
@@ -0,0 +1,95 @@
+// src/lib/engines.js
+// Registro de motores de transcrição.
+//
+// Contrato de um motor (o que create(opts) devolve):
+//   init(), start() -> boolean, stop(), destroy(), setLanguage(lang)
+//   on(type, fn) -> off, off(type, fn)
+//   opcionais: loadModel(id), loadModelFile(file, { expectedSha256 }),
+//     cancelModelLoad(), clearCache(),
+//     transcribeFile(file, { onProgress, signal }) -> Promise<[{ text, start, end, ... }]>
+//     (arquivo de áudio/vídeo em vez do microfone; start/end em ms desde o início)
+//
+// Eventos:
+//   "segment" { text, engine }        resultado final (uma linha)
+//   "partial" { text }                hipótese parcial ("" limpa)
+//   "status"  { isRunning, message? } estado de gravação; message vai para o banner
+//   "error"   { code, message }       falha reportada ao usuário
+//   "timer"   "00m 00s"               tempo decorrido da gravação
+//   "debug"   string                  linha de log
+//   "model"   { state, progress? }    "progress" | "loaded" | "error" (motores com modelo)
+//   "language" { from, to, at }       idioma trocado durante a gravação (at em ms)
+//   "command" { id, at }              comando de voz reconhecido (voiceCommands.js);
+//                                     "stop" já é executado pelo próprio motor
+//   "runtime" string                  status interno do runtime (Whisper), só na mudança
+//
+// opts recebidos por create(): { getLanguage, getMaxAlternatives, getVocabulary,
+//   postProcess(text) -> text, getCommandGrammar(lang) -> grammar | null, persist,
+//   modelManager (modelManager.js), getModelMirror() -> URL base | "" }
+// Idiomas são tags BCP-47 ("pt-BR", "en-GB"); ver languages.js.
+//
+// Definição registrada: { id, title, create, isSupported,
+//   description?, requirements?, models?, defaultModel?, prepare?(ctx),
+//   liveLanguageSwitch?, voiceCommands?, fileTranscription? }
+// A UI de Configurações é montada a partir destes campos.
+
+import { createSpeechBridge } from "./speechBridge";
+import { createWhisperBridge } from "./whisperBridge";
+import { WHISPER_MODELS } from "./modelManager";
+
+const registry = new Map();
+
+export function registerEngine(def) {
+  if (!def || !def.id || typeof def.create !== "function") {
+    throw new Error("registerEngine: definição inválida");
+  }
+  registry.set(def.id, def);
+}
+
+export function getEngine(id) {
+  return registry.get(id) || null;
+}
+
+export function listEngines() {
+  return Array.from(registry.values());
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MOTORES PADRÃO
+// ═══════════════════════════════════════════════════════════════════
+
+registerEngine({
+  id: "webspeech",
+  title: "Web Speech API",
+  description: "Reconhecimento nativo do navegador, que funciona online sem necessidade de baixar modelos.",
+  requirements: [
+    "Google Chrome, Microsoft Edge ou Safari (macOS/iOS)",
+    "Conexão com internet",
+    "Permissão de microfone",
+  ],
+  isSupported: function() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  },
+  liveLanguageSwitch: true,
+  voiceCommands: true,
+  create: createSpeechBridge,
+});
+
+registerEngine({
+  id: "whisper",
+  title: "Whisper.cpp WASM",
+  description: "O Whisper.cpp roda localmente no navegador via WebAssembly. Após baixar o modelo, a transcrição funciona sem conexão.",
+  requirements: [
+    "libstream.js e libstream.worker.js em public/",
+    "Modelo baixado (fica em cache no navegador) ou carregado de arquivo/espelho",
+    "Permissão de microfone",
+  ],
+  isSupported: function() {
+    return typeof WebAssembly === "object" && typeof Worker === "function";
+  },
+  models: WHISPER_MODELS.map(function(m) {
+    return { title: m.id + " (" + m.sizeMB + " MB)", value: m.id };
+  }),
+  defaultModel: "tiny-q5_1",
+  fileTranscription: true,
+  create: createWhisperBridge,
+});
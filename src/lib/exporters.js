@@ -0,0 +1,239 @@
+// src/lib/exporters.js
+// Conversão de segmentos (ver transcriptStore.js) para os formatos de exportação.
+// Funções puras: não tocam no DOM, o download fica a cargo de quem chama.
+// Os nomes dos falantes vêm de session.speakers (ver speakers.js).
+
+import { formatMMSS } from "./transcriptStore";
+import { normalizeSpeakers, speakerIndex, speakerName, speakerTurns } from "./speakers";
+import { normalizeBookmarks } from "./bookmarks";
+import { normalizeVocabulary } from "./vocabulary";
+
+// duração assumida para segmentos sem tempos (sessões antigas)
+const FALLBACK_SEGMENT_MS = 2000;
+
+export const EXPORT_JSON_FORMAT = "webspeech-in-vue/transcript";
+export const EXPORT_JSON_VERSION = 1;
+export const SESSIONS_JSON_FORMAT = "webspeech-in-vue/sessions";
+
+function pad(n, len = 2) {
+  return String(n).padStart(len, "0");
+}
+
+function formatClock(ms, sep) {
+  const t = Math.max(0, Math.round(ms || 0));
+  const h = Math.floor(t / 3600000);
+  const m = Math.floor((t % 3600000) / 60000);
+  const s = Math.floor((t % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(t % 1000, 3)}`;
+}
+
+export function escapeHtml(str) {
+  return String(str == null ? "" : str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Garante start/end crescentes para formatos de legenda (marcadores ficam de fora)
+export function timedSegments(segments) {
+  let cursor = 0;
+  return (segments || []).filter(function(seg) { return !seg.kind; }).map(function(seg) {
+    const start = seg.start != null ? seg.start : cursor;
+    let end = seg.end != null ? seg.end : start + FALLBACK_SEGMENT_MS;
+    if (end <= start) end = start + 1;
+    cursor = end;
+    return Object.assign({}, seg, { start, end });
+  });
+}
+
+// Nome do falante de cada segmento (null sem falante ou desconhecido)
+function speakerNamer(session) {
+  const index = speakerIndex(normalizeSpeakers(session && session.speakers));
+  return function(seg) { return speakerName(index, seg.speaker); };
+}
+
+// Nome só no início de cada turno, como num roteiro
+function turnNames(segments, session) {
+  const nameOf = speakerNamer(session);
+  const turns = speakerTurns(segments);
+  return (segments || []).map(function(s, i) { return turns[i] ? nameOf(s) : null; });
+}
+
+export function toText(segments, session) {
+  const names = turnNames(segments, session);
+  return (segments || []).map(function(s, i) {
+    if (s.kind) return `[${s.text}]`;
+    return names[i] ? `${names[i]}: ${s.text}` : s.text;
+  }).join("\n") + "\n";
+}
+
+// Legendas são independentes entre si: o falante vai em todas
+export function toSRT(segments, session) {
+  const nameOf = speakerNamer(session);
+  return timedSegments(segments)
+    .map(function(s, i) {
+      const name = nameOf(s);
+      const text = name ? `${name}: ${s.text}` : s.text;
+      return `${i + 1}\n${formatClock(s.start, ",")} --> ${formatClock(s.end, ",")}\n${text}\n`;
+    })
+    .join("\n");
+}
+
+// WebVTT interpreta "<" e "&" no texto da legenda (tags de voz, classes)
+function escapeCueText(str) {
+  return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// falante como tag de voz: <v Nome>texto
+export function toVTT(segments, session) {
+  const nameOf = speakerNamer(session);
+  const cues = timedSegments(segments).map(function(s) {
+    const name = nameOf(s);
+    const voice = name ? `<v ${escapeCueText(name)}>` : "";
+    return `${formatClock(s.start, ".")} --> ${formatClock(s.end, ".")}\n${voice}${escapeCueText(s.text)}\n`;
+  });
+  return "WEBVTT\n\n" + cues.join("\n");
+}
+
+export function toJSON(segments, session) {
+  const sess = session || {};
+  return JSON.stringify({
+    format: EXPORT_JSON_FORMAT,
+    version: EXPORT_JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: sess.id || null,
+      title: sess.title || null,
+      createdAt: sess.createdAt || null,
+      updatedAt: sess.updatedAt || null,
+      language: sess.language || null,
+      tags: Array.isArray(sess.tags) ? sess.tags : [],
+      description: sess.description || "",
+      vocabulary: sess.vocabulary ? normalizeVocabulary(sess.vocabulary) : null,
+      speakers: normalizeSpeakers(sess.speakers),
+      bookmarks: normalizeBookmarks(sess.bookmarks),
+    },
+    segments: (segments || []).map(function(s) {
+      return {
+        id: s.id,
+        text: s.text,
+        start: s.start,
+        end: s.end,
+        engine: s.engine,
+        language: s.language,
+        confidence: s.confidence,
+        kind: s.kind || null,
+        alternatives: s.alternatives || null,
+        speaker: s.speaker || null,
+      };
+    }),
+  }, null, 2);
+}
+
+// Markdown aceita HTML embutido; "<" e "&" viram entidades
+function escapeMarkdownHtml(str) {
+  return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;");
+}
+
+export function toMarkdown(segments, session) {
+  const sess = session || {};
+  const lines = [`# ${escapeMarkdownHtml(sess.title || "Transcrição")}`, ""];
+  if (sess.createdAt) lines.push(`- Data: ${new Date(sess.createdAt).toLocaleString()}`);
+  if (sess.language) lines.push(`- Idioma: ${escapeMarkdownHtml(sess.language)}`);
+  if (lines.length > 2) lines.push("");
+
+  const names = turnNames(segments, sess);
+  (segments || []).forEach(function(s, i) {
+    const ts = s.start != null ? `**[${formatMMSS(s.start)}]** ` : "";
+    const who = names[i] ? `**${escapeMarkdownHtml(names[i])}:** ` : "";
+    const text = escapeMarkdownHtml(s.text);
+    lines.push(ts + (s.kind ? `_${text}_` : who + text), "");
+  });
+  return lines.join("\n");
+}
+
+// HTML simples que o Word abre como documento (.doc)
+export function toWordHtml(segments, session) {
+  const sess = session || {};
+  const title = escapeHtml(sess.title || "Transcrição");
+  const index = speakerIndex(normalizeSpeakers(sess.speakers));
+  const turns = speakerTurns(segments);
+  const rows = (segments || []).map(function(s, i) {
+    const ts = s.start != null ? `<span style="color:#6b7280;">[${formatMMSS(s.start)}]</span> ` : "";
+    const spk = turns[i] ? index.get(s.speaker) : null;
+    // a cor vem da paleta fixa (normalizeSpeakers), nunca do arquivo
+    const who = spk ? `<b style="color:${spk.color};">${escapeHtml(spk.name)}:</b> ` : "";
+    const text = s.kind ? `<i>${escapeHtml(s.text)}</i>` : who + escapeHtml(s.text);
+    return `<p>${ts}${text}</p>`;
+  });
+
+  return [
+    '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word">',
+    '<head><meta charset="utf-8"><title>' + title + "</title></head>",
+    '<body style="font-family:Calibri, Arial, sans-serif; font-size:11pt;">',
+    `<h1>${title}</h1>`,
+    sess.createdAt ? `<p><i>${escapeHtml(new Date(sess.createdAt).toLocaleString())}</i></p>` : "",
+    ...rows,
+    "</body></html>",
+  ].join("\n");
+}
+
+// Várias sessões num único JSON (entries: [{ session, segments }])
+export function toSessionsJSON(entries) {
+  return JSON.stringify({
+    format: SESSIONS_JSON_FORMAT,
+    version: EXPORT_JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions: (entries || []).map(function(e) {
+      return {
+        session: {
+          id: e.session.id,
+          title: e.session.title,
+          createdAt: e.session.createdAt,
+          updatedAt: e.session.updatedAt,
+          language: e.session.language,
+          tags: Array.isArray(e.session.tags) ? e.session.tags : [],
+          description: e.session.description || "",
+          vocabulary: e.session.vocabulary ? normalizeVocabulary(e.session.vocabulary) : null,
+          speakers: normalizeSpeakers(e.session.speakers),
+          bookmarks: normalizeBookmarks(e.session.bookmarks),
+        },
+        segments: e.segments,
+      };
+    }),
+  }, null, 2);
+}
+
+export const EXPORT_FORMATS = [
+  { id: "txt", title: "Texto (.txt)", ext: "txt", mime: "text/plain;charset=utf-8", build: toText },
+  { id: "srt", title: "Legendas SubRip (.srt)", ext: "srt", mime: "application/x-subrip;charset=utf-8", build: toSRT },
+  { id: "vtt", title: "Legendas WebVTT (.vtt)", ext: "vtt", mime: "text/vtt;charset=utf-8", build: toVTT },
+  { id: "json", title: "JSON estruturado (.json)", ext: "json", mime: "application/json;charset=utf-8", build: toJSON },
+  { id: "md", title: "Markdown (.md)", ext: "md", mime: "text/markdown;charset=utf-8", build: toMarkdown },
+  { id: "doc", title: "Word (.doc)", ext: "doc", mime: "application/msword;charset=utf-8", build: toWordHtml },
+];
+
+export function getExportFormat(id) {
+  return EXPORT_FORMATS.find(function(f) { return f.id === id; }) || null;
+}
+
+function slugify(str) {
+  return String(str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+}
+
+// "Sessão 19/10/2026, 10:00:00" + createdAt -> "sessao-19-10-2026-10-00-00_2026-10-19.srt"
+export function exportFileName(session, ext) {
+  const sess = session || {};
+  const d = sess.createdAt ? new Date(sess.createdAt) : new Date();
+  const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  const base = slugify(sess.title) || "transcricao";
+  return `${base}_${date}.${ext}`;
+}
@@ -0,0 +1,170 @@
+// src/lib/importers.js
+// Leitura de arquivos importados (.json, .srt, .vtt, .txt) para sessões.
+// Funções puras: recebem o texto do arquivo e devolvem
+//   { sessions: [{ session: { id, title, createdAt, language, tags, description,
+//                 vocabulary, speakers, bookmarks }, segments }], warnings }
+// Entrada inválida lança Error com mensagem pronta para o banner.
+// Textos passam por sanitize.js (via normalizeSegment e sanitizeLabel).
+
+import { normalizeSegment } from "./transcriptStore";
+import { EXPORT_JSON_FORMAT, SESSIONS_JSON_FORMAT } from "./exporters";
+import { sanitizeText, sanitizeLabel } from "./sanitize";
+import { normalizeSpeakers } from "./speakers";
+import { normalizeBookmarks } from "./bookmarks";
+import { normalizeVocabulary } from "./vocabulary";
+
+export const IMPORT_ACCEPT = ".json,.srt,.vtt,.txt";
+
+function baseName(fileName) {
+  return sanitizeLabel(String(fileName || "").replace(/\.[^.]+$/, "")) || "Importado";
+}
+
+function stripTags(str) {
+  return String(str || "").replace(/<[^>]*>/g, "").trim();
+}
+
+// "01:02:03,456" | "02:03.456" | "01:02:03.456" -> ms
+export function parseClock(str) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(String(str || "").trim());
+  if (!m) return null;
+  const [, h, min, s, frac] = m;
+  return ((Number(h || 0) * 60 + Number(min)) * 60 + Number(s)) * 1000 + Number(frac.padEnd(3, "0"));
+}
+
+// Blocos de legenda (SRT e VTT compartilham a estrutura "início --> fim" + texto)
+function parseCues(text, kind) {
+  const blocks = String(text || "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  const segments = [];
+  let skipped = 0;
+
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(function(l) { return l.trim() !== ""; });
+    if (!lines.length) continue;
+
+    if (kind === "vtt" && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIdx = lines.findIndex(function(l) { return l.includes("-->"); });
+    if (timingIdx < 0) {
+      skipped++;
+      continue;
+    }
+
+    const [a, b] = lines[timingIdx].split("-->");
+    const start = parseClock(a);
+    const end = parseClock((b || "").trim().split(/\s+/)[0]);
+    const body = stripTags(lines.slice(timingIdx + 1).join(" "));
+
+    if (start == null || end == null || !body) {
+      skipped++;
+      continue;
+    }
+
+    segments.push(normalizeSegment({ text: body, start, end }, `seg_imp_${segments.length}`));
+  }
+
+  if (!segments.length) {
+    throw new Error(`Nenhuma legenda válida encontrada no arquivo ${kind.toUpperCase()}.`);
+  }
+
+  return { segments, skipped };
+}
+
+export function parseSRT(text) {
+  return parseCues(text, "srt");
+}
+
+export function parseVTT(text) {
+  if (!/^\uFEFF?WEBVTT/.test(String(text || ""))) {
+    throw new Error("Arquivo VTT inválido (cabeçalho WEBVTT ausente).");
+  }
+  return parseCues(text, "vtt");
+}
+
+export function parseTxt(text) {
+  const segments = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(function(l) { return l.trim(); })
+    .filter(Boolean)
+    .map(function(l, i) { return normalizeSegment({ text: l }, `seg_imp_${i}`); });
+
+  if (!segments.length) throw new Error("Arquivo de texto vazio.");
+  return { segments, skipped: 0 };
+}
+
+function validSegments(list) {
+  if (!Array.isArray(list)) return null;
+  return list
+    .filter(function(s) { return s && typeof s.text === "string" && s.text.trim(); })
+    .map(function(s, i) { return normalizeSegment(s, s.id || `seg_imp_${i}`); });
+}
+
+function sessionFromJSON(entry, fallbackTitle) {
+  const sess = (entry && entry.session) || {};
+  const segments = validSegments(entry && entry.segments);
+  if (!segments) return null;
+
+  return {
+    session: {
+      id: typeof sess.id === "string" ? sess.id : null,
+      title: sanitizeLabel(sess.title) || fallbackTitle,
+      createdAt: typeof sess.createdAt === "string" ? sess.createdAt : null,
+      language: sanitizeLabel(sess.language, 40) || null,
+      tags: Array.isArray(sess.tags) ? sess.tags.map(function(t) { return sanitizeLabel(t, 60); }).filter(Boolean) : [],
+      description: sanitizeText(sess.description).slice(0, 5000),
+      vocabulary: sess.vocabulary ? normalizeVocabulary(sess.vocabulary) : null,
+      speakers: normalizeSpeakers(sess.speakers),
+      bookmarks: normalizeBookmarks(sess.bookmarks),
+    },
+    segments,
+  };
+}
+
+export function parseJSONImport(text, fileName) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("JSON inválido: " + e.message);
+  }
+
+  const title = baseName(fileName);
+  const warnings = [];
+
+  if (data && data.format === EXPORT_JSON_FORMAT) {
+    const one = sessionFromJSON(data, title);
+    if (!one) throw new Error("JSON sem lista de segmentos.");
+    return { sessions: [one], warnings };
+  }
+
+  if (data && data.format === SESSIONS_JSON_FORMAT && Array.isArray(data.sessions)) {
+    const sessions = [];
+    data.sessions.forEach(function(entry, i) {
+      const one = sessionFromJSON(entry, `${title} (${i + 1})`);
+      if (one) sessions.push(one);
+      else warnings.push(`Sessão ${i + 1} ignorada (sem segmentos válidos).`);
+    });
+    if (!sessions.length) throw new Error("Backup sem sessões válidas.");
+    return { sessions, warnings };
+  }
+
+  throw new Error("Formato JSON não reconhecido (esperado export ou backup deste app).");
+}
+
+export function parseImportFile(fileName, text) {
+  const ext = (/\.([^.]+)$/.exec(String(fileName || "").toLowerCase()) || [])[1];
+  const title = baseName(fileName);
+
+  if (ext === "json") return parseJSONImport(text, fileName);
+
+  let parsed = null;
+  if (ext === "srt") parsed = parseSRT(text);
+  else if (ext === "vtt") parsed = parseVTT(text);
+  else if (ext === "txt") parsed = parseTxt(text);
+  else throw new Error(`Tipo de arquivo não suportado: ${fileName}`);
+
+  return {
+    sessions: [{ session: { id: null, title, createdAt: null, language: null }, segments: parsed.segments }],
+    warnings: parsed.skipped ? [`${parsed.skipped} bloco(s) ignorado(s) em ${fileName}.`] : [],
+  };
+}
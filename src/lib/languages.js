@@ -0,0 +1,74 @@
+// src/lib/languages.js
+// Idiomas de transcrição como tags BCP-47 com região ("pt-BR", "pt-PT",
+// "en-GB"...). A tag exata é gravada na sessão e nos segmentos; cada motor
+// converte para o que entende (Web Speech usa a tag, Whisper só o idioma).
+
+export const DEFAULT_LANGUAGE = "pt-BR";
+
+// Locais aceitos pelo reconhecimento de voz dos navegadores (Chrome/Edge/Safari)
+const LANGUAGE_CODES = [
+  "af-ZA", "am-ET", "ar-AE", "ar-BH", "ar-DZ", "ar-EG", "ar-IQ", "ar-JO", "ar-KW", "ar-LB",
+  "ar-LY", "ar-MA", "ar-OM", "ar-PS", "ar-QA", "ar-SA", "ar-TN", "ar-YE", "az-AZ", "bg-BG",
+  "bn-BD", "bn-IN", "bs-BA", "ca-ES", "cs-CZ", "cy-GB", "da-DK", "de-AT", "de-CH", "de-DE",
+  "el-GR", "en-AU", "en-CA", "en-GB", "en-GH", "en-IE", "en-IN", "en-KE", "en-NG", "en-NZ",
+  "en-PH", "en-SG", "en-TZ", "en-US", "en-ZA", "es-AR", "es-BO", "es-CL", "es-CO", "es-CR",
+  "es-DO", "es-EC", "es-ES", "es-GT", "es-HN", "es-MX", "es-NI", "es-PA", "es-PE", "es-PR",
+  "es-PY", "es-SV", "es-US", "es-UY", "es-VE", "et-EE", "eu-ES", "fa-IR", "fi-FI", "fil-PH",
+  "fr-BE", "fr-CA", "fr-CH", "fr-FR", "gl-ES", "gu-IN", "he-IL", "hi-IN", "hr-HR", "hu-HU",
+  "hy-AM", "id-ID", "is-IS", "it-CH", "it-IT", "ja-JP", "jv-ID", "ka-GE", "kk-KZ", "km-KH",
+  "kn-IN", "ko-KR", "lo-LA", "lt-LT", "lv-LV", "mk-MK", "ml-IN", "mn-MN", "mr-IN", "ms-MY",
+  "my-MM", "nb-NO", "ne-NP", "nl-BE", "nl-NL", "pa-IN", "pl-PL", "pt-BR", "pt-PT", "ro-RO",
+  "ru-RU", "si-LK", "sk-SK", "sl-SI", "sq-AL", "sr-RS", "su-ID", "sv-SE", "sw-KE", "sw-TZ",
+  "ta-IN", "ta-LK", "ta-MY", "ta-SG", "te-IN", "th-TH", "tr-TR", "uk-UA", "ur-IN", "ur-PK",
+  "uz-UZ", "vi-VN", "yue-HK", "zh-CN", "zh-HK", "zh-TW", "zu-ZA",
+];
+
+// Valores gravados antes das variantes regionais
+const LEGACY = { pt: "pt-BR", en: "en-US" };
+
+// Whisper usa códigos ISO 639-1 próprios para alguns idiomas
+const WHISPER_ALIASES = { fil: "tl", nb: "no", yue: "zh" };
+
+let displayNames = null;
+
+function languageName(code) {
+  try {
+    if (!displayNames) displayNames = new Intl.DisplayNames(["pt-BR"], { type: "language" });
+    const name = displayNames.of(code);
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : code;
+  } catch (e) {
+    return code;
+  }
+}
+
+// "pt" -> "pt-BR", "EN-gb" -> "en-GB"; tag inválida -> DEFAULT_LANGUAGE
+export function normalizeLanguage(code) {
+  const raw = String(code || "").trim();
+  if (!raw) return DEFAULT_LANGUAGE;
+  if (LEGACY[raw.toLowerCase()]) return LEGACY[raw.toLowerCase()];
+  try {
+    return Intl.getCanonicalLocales(raw)[0] || DEFAULT_LANGUAGE;
+  } catch (e) {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+// Idioma base para o Whisper ("pt-PT" -> "pt", "fil-PH" -> "tl")
+export function whisperLanguage(code) {
+  const base = normalizeLanguage(code).split("-")[0].toLowerCase();
+  return WHISPER_ALIASES[base] || base;
+}
+
+// Itens para o seletor: [{ title: "Português (Brasil)", subtitle: "pt-BR", value }]
+export function languageItems() {
+  return LANGUAGE_CODES.map(function(code) {
+    return { title: languageName(code), subtitle: code, value: code };
+  }).sort(function(a, b) {
+    return a.title.localeCompare(b.title, "pt-BR");
+  });
+}
+
+export function languageLabel(code) {
+  const tag = normalizeLanguage(code);
+  return `${languageName(tag)} (${tag})`;
+}
@@ -0,0 +1,523 @@
+// src/lib/modelManager.js
+// Gerenciador dos modelos do Whisper (ggml-*.bin), guardados no IndexedDB.
+//
+// Banco "whisper_models":
+//   models  { id, file, url, bytes, total, received, seq, state, etag,
+//             sha256, expectedSha256, checksumSource, savedAt, verifiedAt }
+//           state "partial" (download interrompido, retomável) | "complete"
+//   parts   { id, seq, blob }: o modelo em blocos de PART_BYTES, gravados à
+//           medida que chegam; cada bloco é gravado na mesma transação que o
+//           avanço de `received`, então o download retoma de onde parou
+//           (Range: bytes=received-)
+//
+// Integridade: o SHA-256 esperado vem, nesta ordem, do que foi informado pelo
+// usuário, do cabeçalho X-Linked-Etag (Hugging Face, arquivos LFS) ou de um
+// arquivo "<url>.sha256" ao lado do modelo no espelho. Sem referência, o hash
+// calculado no download fica registrado e toda leitura do cache é conferida
+// com ele.
+//
+// Espelho: URL base com os mesmos nomes de arquivo do Hugging Face; pode ser
+// relativa (ex.: "/models/" com os .bin em public/models) para uso sem rede.
+
+export const DEFAULT_MODEL_BASE = "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/";
+
+// id -> arquivo e tamanho aproximado (MB), na ordem mostrada nas Configurações
+export const WHISPER_MODELS = [
+  { id: "tiny", file: "ggml-tiny.bin", sizeMB: 75 },
+  { id: "tiny.en", file: "ggml-tiny.en.bin", sizeMB: 75 },
+  { id: "base", file: "ggml-base.bin", sizeMB: 142 },
+  { id: "base.en", file: "ggml-base.en.bin", sizeMB: 142 },
+  { id: "small", file: "ggml-small.bin", sizeMB: 466 },
+  { id: "small.en", file: "ggml-small.en.bin", sizeMB: 466 },
+  { id: "tiny-q5_1", file: "ggml-tiny-q5_1.bin", sizeMB: 31 },
+  { id: "tiny-en-q5_1", file: "ggml-tiny.en-q5_1.bin", sizeMB: 31 },
+  { id: "base-q5_1", file: "ggml-base-q5_1.bin", sizeMB: 57 },
+  { id: "base-en-q5_1", file: "ggml-base.en-q5_1.bin", sizeMB: 57 },
+  { id: "small-q5_1", file: "ggml-small-q5_1.bin", sizeMB: 181 },
+  { id: "small-en-q5_1", file: "ggml-small.en-q5_1.bin", sizeMB: 181 },
+];
+
+const DB_NAME = "whisper_models";
+const DB_VER = 1;
+const STORE_MODELS = "models";
+const STORE_PARTS = "parts";
+
+// banco do helpers.js do whisper.cpp (versões anteriores); só é apagado
+const LEGACY_DB_NAME = "whisper.ggerganov.com";
+
+const PART_BYTES = 8 * 1024 * 1024;
+const MB = 1024 * 1024;
+// margem sobre o tamanho do download na checagem de cota
+const QUOTA_MARGIN = 1.05;
+
+const SHA256_RE = /^[0-9a-f]{64}$/;
+
+export function getModelInfo(id) {
+  return WHISPER_MODELS.find((m) => m.id === id) || null;
+}
+
+export function normalizeSha256(value) {
+  const hex = String(value || "").trim().toLowerCase().replace(/^"|"$/g, "");
+  return SHA256_RE.test(hex) ? hex : null;
+}
+
+// URL do modelo no espelho (ou no Hugging Face, sem espelho)
+export function modelUrl(id, mirror) {
+  const info = getModelInfo(id);
+  if (!info) return null;
+  const base = String(mirror || "").trim() || DEFAULT_MODEL_BASE;
+  try {
+    // espelho relativo ("/models/") vale em relação à página
+    const root = new URL(base.endsWith("/") ? base : base + "/", globalThis.location ? location.href : undefined);
+    return new URL(info.file, root).href;
+  } catch (e) {
+    throw modelError("bad-mirror", `URL de espelho inválida: ${base}`);
+  }
+}
+
+export function formatMB(bytes) {
+  return (bytes / MB).toFixed(bytes >= 100 * MB ? 0 : 1) + " MB";
+}
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function modelError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+async function sha256Hex(buffer) {
+  if (!globalThis.crypto || !crypto.subtle) return null; // exige contexto seguro
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function createModelManager(opts) {
+  const { onDebug } = opts || {};
+  let db = null;
+
+  function dbg(msg) {
+    if (onDebug) onDebug(`[Modelos] ${msg}`);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // IndexedDB
+  // ═══════════════════════════════════════════════════════════════════
+
+  function open() {
+    if (db) return Promise.resolve(db);
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VER);
+      req.onupgradeneeded = () => {
+        const d = req.result;
+        if (!d.objectStoreNames.contains(STORE_MODELS)) d.createObjectStore(STORE_MODELS, { keyPath: "id" });
+        if (!d.objectStoreNames.contains(STORE_PARTS)) d.createObjectStore(STORE_PARTS, { keyPath: ["id", "seq"] });
+      };
+      req.onsuccess = () => {
+        db = req.result;
+        db.onversionchange = () => {
+          db.close();
+          db = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || modelError("quota", "Gravação do modelo abortada (armazenamento cheio?)."));
+    });
+  }
+
+  async function getEntry(id) {
+    const d = await open();
+    return request(d.transaction([STORE_MODELS], "readonly").objectStore(STORE_MODELS).get(id));
+  }
+
+  async function putEntry(entry) {
+    const d = await open();
+    const tx = d.transaction([STORE_MODELS], "readwrite");
+    tx.objectStore(STORE_MODELS).put(entry);
+    return done(tx);
+  }
+
+  // bloco + avanço do registro, atômicos
+  async function putPart(entry, blob) {
+    const d = await open();
+    const tx = d.transaction([STORE_MODELS, STORE_PARTS], "readwrite");
+    tx.objectStore(STORE_PARTS).put({ id: entry.id, seq: entry.seq, blob });
+    entry.seq += 1;
+    entry.received += blob.size;
+    tx.objectStore(STORE_MODELS).put(entry);
+    return done(tx);
+  }
+
+  function partsRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Number.MAX_SAFE_INTEGER]);
+  }
+
+  async function readParts(id) {
+    const d = await open();
+    const parts = await request(d.transaction([STORE_PARTS], "readonly").objectStore(STORE_PARTS).getAll(partsRange(id)));
+    return parts.sort((a, b) => a.seq - b.seq).map((p) => p.blob);
+  }
+
+  async function deleteParts(d, id) {
+    const tx = d.transaction([STORE_PARTS], "readwrite");
+    tx.objectStore(STORE_PARTS).delete(partsRange(id));
+    return done(tx);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // LISTA / REMOÇÃO
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Modelos em cache (completos e parciais), na ordem do catálogo
+  async function list() {
+    const d = await open();
+    const all = await request(d.transaction([STORE_MODELS], "readonly").objectStore(STORE_MODELS).getAll());
+    const order = (e) => {
+      const i = WHISPER_MODELS.findIndex((m) => m.id === e.id);
+      return i < 0 ? WHISPER_MODELS.length : i;
+    };
+    return all.sort((a, b) => order(a) - order(b) || a.id.localeCompare(b.id));
+  }
+
+  async function drop(id) {
+    const d = await open();
+    await deleteParts(d, id);
+    const tx = d.transaction([STORE_MODELS], "readwrite");
+    tx.objectStore(STORE_MODELS).delete(id);
+    await done(tx);
+  }
+
+  async function remove(id) {
+    await drop(id);
+    dbg(`${id} removido`);
+  }
+
+  // Apaga todos os modelos (e o cache antigo do helpers.js, se existir)
+  async function clearAll() {
+    if (db) {
+      db.close();
+      db = null;
+    }
+    for (const name of [DB_NAME, LEGACY_DB_NAME]) {
+      await new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(name);
+        req.onsuccess = () => resolve();
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => resolve();
+      });
+    }
+    dbg("cache de modelos apagado");
+  }
+
+  // { usage, quota } do navegador (bytes), ou null
+  async function estimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  }
+
+  async function checkQuota(neededBytes) {
+    const est = await estimate();
+    if (!est || !est.quota) return;
+    const free = est.quota - est.usage;
+    if (free < neededBytes * QUOTA_MARGIN) {
+      throw modelError("quota", `Espaço insuficiente para o modelo: precisa de ${formatMB(neededBytes)}, livres ${formatMB(Math.max(0, free))}.`);
+    }
+    // evita que o navegador descarte o cache sob pressão de espaço
+    if (navigator.storage.persist) navigator.storage.persist().catch(() => {});
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // INTEGRIDADE
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Confere o hash do conteúdo com o registro; devolve o hash calculado
+  async function checkIntegrity(entry, buffer) {
+    const hash = await sha256Hex(buffer);
+    if (!hash) {
+      dbg(`${entry.id}: crypto.subtle indisponível (página sem HTTPS?); integridade não conferida`);
+      return null;
+    }
+    const reference = entry.expectedSha256 || entry.sha256;
+    if (reference && hash !== reference) {
+      throw modelError("checksum", `SHA-256 de ${entry.id} não confere (esperado ${reference.slice(0, 12)}…, obtido ${hash.slice(0, 12)}…).`);
+    }
+    return hash;
+  }
+
+  async function readComplete(entry) {
+    const buffer = await new Blob(await readParts(entry.id)).arrayBuffer();
+    if (buffer.byteLength !== entry.bytes) {
+      throw modelError("checksum", `${entry.id} incompleto no cache (${formatMB(buffer.byteLength)} de ${formatMB(entry.bytes)}).`);
+    }
+    return buffer;
+  }
+
+  // Relê o modelo do cache e confere o SHA-256; corrompido -> removido
+  async function verify(id) {
+    const entry = await getEntry(id);
+    if (!entry || entry.state !== "complete") throw modelError("missing", `${id} não está completo no cache.`);
+    try {
+      const hash = await checkIntegrity(entry, await readComplete(entry));
+      if (hash) {
+        entry.sha256 = hash;
+        entry.verifiedAt = nowISO();
+        await putEntry(entry);
+      }
+      return entry;
+    } catch (e) {
+      if (e.code === "checksum") await remove(id);
+      throw e;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // DOWNLOAD
+  // ═══════════════════════════════════════════════════════════════════
+
+  // SHA-256 publicado ao lado do modelo ("<url>.sha256", formato do sha256sum)
+  async function fetchSidecarSha(url, signal) {
+    try {
+      const res = await fetch(url + ".sha256", { signal, cache: "no-store" });
+      if (!res.ok) return null;
+      return normalizeSha256((await res.text()).split(/\s+/)[0]);
+    } catch (e) {
+      if (e && e.name === "AbortError") throw e;
+      return null;
+    }
+  }
+
+  function totalFromResponse(res, offset) {
+    const range = res.headers.get("content-range"); // "bytes 100-199/200"
+    const m = range && /\/(\d+)\s*$/.exec(range);
+    if (m) return Number(m[1]);
+    const length = Number(res.headers.get("content-length"));
+    return length ? offset + length : 0;
+  }
+
+  async function download(entry, signal, onProgress) {
+    const headers = {};
+    if (entry.received > 0) {
+      headers.Range = `bytes=${entry.received}-`;
+      if (entry.etag) headers["If-Range"] = entry.etag;
+    }
+
+    const res = await fetch(entry.url, { headers, signal, cache: "no-store" });
+    if (!res.ok) throw modelError("http", `HTTP ${res.status} ao baixar ${entry.url}`);
+
+    // servidor sem Range (ou arquivo mudou): recomeça do zero
+    if (entry.received > 0 && res.status !== 206) {
+      dbg(`${entry.id}: servidor não retomou o download; recomeçando`);
+      await deleteParts(await open(), entry.id);
+      entry.received = 0;
+      entry.seq = 0;
+    }
+
+    entry.total = totalFromResponse(res, entry.received) || entry.total;
+    entry.etag = res.headers.get("etag") || entry.etag;
+    if (!entry.expectedSha256) {
+      const linked = normalizeSha256(res.headers.get("x-linked-etag"));
+      if (linked) {
+        entry.expectedSha256 = linked;
+        entry.checksumSource = "servidor";
+      }
+    }
+    await putEntry(entry);
+
+    if (entry.total) await checkQuota(entry.total - entry.received);
+
+    const reader = res.body.getReader();
+    let pieces = [];
+    let pending = 0;
+    const report = () => {
+      if (onProgress && entry.total) onProgress(Math.min(1, (entry.received + pending) / entry.total));
+    };
+
+    for (;;) {
+      const { done: finished, value } = await reader.read();
+      if (finished) break;
+      pieces.push(value);
+      pending += value.length;
+      if (pending >= PART_BYTES) {
+        await putPart(entry, new Blob(pieces));
+        pieces = [];
+        pending = 0;
+      }
+      report();
+    }
+    if (pending) await putPart(entry, new Blob(pieces));
+
+    if (entry.total && entry.received !== entry.total) {
+      throw modelError("http", `Download de ${entry.id} terminou incompleto (${formatMB(entry.received)} de ${formatMB(entry.total)}).`);
+    }
+  }
+
+  // Finaliza um modelo recém-gravado: confere o hash e marca como completo
+  async function complete(entry) {
+    const buffer = await readComplete({ ...entry, bytes: entry.received });
+    let hash;
+    try {
+      hash = await checkIntegrity(entry, buffer);
+    } catch (e) {
+      await remove(entry.id);
+      throw e;
+    }
+    Object.assign(entry, {
+      state: "complete",
+      bytes: buffer.byteLength,
+      sha256: hash,
+      savedAt: nowISO(),
+      verifiedAt: hash && entry.expectedSha256 ? nowISO() : null,
+    });
+    await putEntry(entry);
+    dbg(`${entry.id}: ${formatMB(entry.bytes)} no cache` + (hash ? `, SHA-256 ${hash.slice(0, 12)}…` + (entry.expectedSha256 ? " conferido" : " registrado") : ""));
+    return buffer;
+  }
+
+  // Modelo em cache (conferido) ou, do catálogo, baixado do espelho/Hugging Face,
+  // retomando um download parcial. options: { mirror, expectedSha256,
+  // onProgress(0..1), signal } -> Uint8Array
+  async function load(id, options) {
+    const { mirror, expectedSha256, onProgress, signal } = options || {};
+    let entry = await getEntry(id);
+    if (entry && entry.state === "complete") {
+      try {
+        const buffer = await readComplete(entry);
+        await checkIntegrity(entry, buffer);
+        dbg(`${id} lido do cache`);
+        if (onProgress) onProgress(1);
+        return new Uint8Array(buffer);
+      } catch (e) {
+        dbg(`${id}: ${e.message}`);
+        await remove(id);
+        entry = null;
+      }
+    }
+
+    // importados de arquivo só existem no cache
+    const info = getModelInfo(id);
+    if (!info) throw modelError("bad-model", `Modelo inválido ou fora do cache: ${id}`);
+    const url = modelUrl(id, mirror);
+
+    // parcial de outra origem não pode ser emendado
+    if (entry && entry.url !== url) {
+      dbg(`${id}: download parcial de ${entry.url} descartado`);
+      await remove(id);
+      entry = null;
+    }
+
+    if (!entry) {
+      await checkQuota(info.sizeMB * MB);
+      entry = {
+        id,
+        file: info.file,
+        url,
+        state: "partial",
+        total: 0,
+        received: 0,
+        seq: 0,
+        etag: null,
+        bytes: 0,
+        sha256: null,
+        expectedSha256: null,
+        checksumSource: null,
+        savedAt: null,
+        verifiedAt: null,
+      };
+    } else {
+      dbg(`${id}: retomando download em ${formatMB(entry.received)}`);
+    }
+
+    const given = normalizeSha256(expectedSha256);
+    if (given) {
+      entry.expectedSha256 = given;
+      entry.checksumSource = "informado";
+    } else if (!entry.expectedSha256 && mirror) {
+      const sidecar = await fetchSidecarSha(url, signal);
+      if (sidecar) {
+        entry.expectedSha256 = sidecar;
+        entry.checksumSource = "espelho";
+      }
+    }
+
+    await download(entry, signal, onProgress);
+    return new Uint8Array(await complete(entry));
+  }
+
+  // Modelo de um arquivo local: grava no cache (id "arquivo:<nome>", ou o id
+  // do catálogo quando o nome do arquivo bate) e devolve o conteúdo
+  async function importFile(file, options) {
+    const { expectedSha256 } = options || {};
+    const known = WHISPER_MODELS.find((m) => m.file === file.name);
+    const id = known ? known.id : `arquivo:${file.name}`;
+
+    await checkQuota(file.size);
+    const buffer = await file.arrayBuffer();
+    const given = normalizeSha256(expectedSha256);
+
+    await drop(id);
+    const entry = {
+      id,
+      file: file.name,
+      url: null,
+      state: "partial",
+      total: file.size,
+      received: 0,
+      seq: 0,
+      etag: null,
+      bytes: 0,
+      sha256: null,
+      expectedSha256: given,
+      checksumSource: given ? "informado" : null,
+      savedAt: null,
+      verifiedAt: null,
+    };
+    for (let pos = 0; pos < file.size; pos += PART_BYTES) {
+      await putPart(entry, file.slice(pos, pos + PART_BYTES));
+    }
+
+    try {
+      entry.sha256 = await checkIntegrity(entry, buffer);
+    } catch (e) {
+      await remove(id);
+      throw e;
+    }
+    Object.assign(entry, {
+      state: "complete",
+      bytes: file.size,
+      savedAt: nowISO(),
+      verifiedAt: entry.sha256 && given ? nowISO() : null,
+    });
+    await putEntry(entry);
+    dbg(`${id}: importado de ${file.name} (${formatMB(file.size)})`);
+    return { id, data: new Uint8Array(buffer) };
+  }
+
+  return {
+    list,
+    load,
+    importFile,
+    verify,
+    remove,
+    clearAll,
+    estimate,
+  };
+}
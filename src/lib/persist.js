@@ -1,16 +1,84 @@
 // src/lib/persist.js
 // Persistência robusta (IndexedDB) com autosave, múltiplas sessões e sessão ativa.
+//
+// Versões do banco:
+//   1 - sessão guarda transcriptHTML ("linha<br>linha<br>") + nLines
+//   2 - sessão guarda segments (ver transcriptStore.js); v1 é migrada no upgrade
+//   3 - segments saem da sessão para o store "chunks" (blocos de CHUNK_SIZE
+//       segmentos), para que o autosave regrave só o bloco final
+//   4 - store "history" com o histórico de edição de cada sessão
+//   5 - store "audio": áudio bruto da gravação em blocos (Blob), por sessão e
+//       tomada (take); a sessão guarda o resumo em sess.audio. O backup JSON
+//       não leva o áudio; a restauração mesclada mantém o áudio local.
+
+import { normalizeSegment } from "./transcriptStore";
+import { findMatches, foldText, makeSnippet, countWords } from "./search";
+import { sanitizeText, sanitizeLabel } from "./sanitize";
+import { DEFAULT_LANGUAGE, normalizeLanguage } from "./languages";
+import { normalizeVocabulary } from "./vocabulary";
+import { normalizeSpeakers } from "./speakers";
+import { normalizeBookmarks } from "./bookmarks";
+
+// Arquivo de backup completo do banco (stores sessions, meta e chunks)
+export const BACKUP_FORMAT = "webspeech-in-vue/db-backup";
+export const BACKUP_VERSION = 1;
+
+// Segmentos vindos do banco, de importação ou de backup nunca são confiáveis
+function cleanSegments(list) {
+  return (Array.isArray(list) ? list : [])
+    .map(function(s) { return normalizeSegment(s); })
+    .filter(function(s) { return s.text; });
+}
+
+// Campos de texto livre de uma sessão (título, etiquetas, descrição)
+function cleanSessionFields(sess) {
+  const out = Object.assign({}, sess);
+  out.title = sanitizeLabel(sess.title) || "Sem título";
+  out.language = sanitizeLabel(sess.language, 40) || null;
+  if (Array.isArray(sess.tags)) out.tags = sess.tags.map((t) => sanitizeLabel(t, 60)).filter(Boolean);
+  if (sess.description != null) out.description = sanitizeText(sess.description).slice(0, 5000);
+  if (sess.vocabulary != null) out.vocabulary = normalizeVocabulary(sess.vocabulary);
+  if (sess.speakers != null) out.speakers = normalizeSpeakers(sess.speakers);
+  if (sess.bookmarks != null) out.bookmarks = normalizeBookmarks(sess.bookmarks);
+  return out;
+}
+
+// Converte o HTML legado (v1) em segmentos sem tempos
+export function htmlToSegments(html, meta) {
+  const extra = meta || {};
+  return String(html || "")
+    .split(/<br\s*\/?>/i)
+    .map(function(line) {
+      return line
+        .replace(/<[^>]*>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&")
+        .trim();
+    })
+    .filter(Boolean)
+    .map(function(text, i) {
+      return normalizeSegment({ text, language: extra.language, engine: extra.engine }, `seg_legacy_${i}`);
+    });
+}
 
 export function createPersist(opts) {
   const {
-    getTranscriptHtml,
-    getNLines,
+    getSegments,
+    takeDirtyFrom,
+    getHistory,
     getLanguage,
     getWasRecording,
 
-    setTranscriptHtml,
-    setNLines,
+    setSegments,
+    setHistory,
     setLanguage,
+    setSessionVocabulary,
+    setSessionSpeakers,
+    setSessionBookmarks,
 
     onBanner,
     onPersistUI,
@@ -18,14 +86,33 @@ export function createPersist(opts) {
 
   const PERSIST = {
     DB_NAME: "speech_api_persist",
-    DB_VER: 1,
+    DB_VER: 5,
     STORE_SESS: "sessions",
     STORE_META: "meta",
+    STORE_CHUNKS: "chunks",
+    STORE_HISTORY: "history",
+    STORE_AUDIO: "audio",
+    CHUNK_SIZE: 200,
     META_KEY_ACTIVE: "activeSessionId",
+    META_KEY_MODEL: "lastWhisperModel",
+    META_KEY_RETENTION: "retention",
+    META_KEY_PREFS: "preferences",
     AUTOSAVE_MS: 1000,
-    MAX_SESSIONS: 25,
+    DAY_MS: 24 * 60 * 60 * 1000,
+  };
+
+  // Política de retenção (editável nas Configurações). 0 = sem limite.
+  // Sessões fixadas e a sessão ativa nunca são descartadas; as demais vão
+  // para a lixeira e só são apagadas após trashDays.
+  const DEFAULT_RETENTION = {
+    maxCount: 25,
+    maxAgeDays: 0,
+    maxStorageMB: 0,
+    trashDays: 7,
   };
 
+  let retention = { ...DEFAULT_RETENTION };
+
   let db = null;
   let ready = false;
   let activeSessionId = null;
@@ -34,6 +121,12 @@ export function createPersist(opts) {
   let autosaveDirty = false;
   let lastSavedHash = "";
 
+  // primeiro índice de segmento ainda não gravado (Infinity = nada pendente)
+  let pendingDirtyFrom = 0;
+
+  // revisão do histórico de edição já gravada para a sessão ativa
+  let savedHistoryRevision = null;
+
   function nowISO() {
     return new Date().toISOString();
   }
@@ -70,7 +163,7 @@ export function createPersist(opts) {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(PERSIST.DB_NAME, PERSIST.DB_VER);
 
-      req.onupgradeneeded = () => {
+      req.onupgradeneeded = (event) => {
         const d = req.result;
 
         if (!d.objectStoreNames.contains(PERSIST.STORE_SESS)) {
@@ -81,6 +174,26 @@ export function createPersist(opts) {
         if (!d.objectStoreNames.contains(PERSIST.STORE_META)) {
           d.createObjectStore(PERSIST.STORE_META, { keyPath: "key" });
         }
+
+        if (!d.objectStoreNames.contains(PERSIST.STORE_CHUNKS)) {
+          const os = d.createObjectStore(PERSIST.STORE_CHUNKS, { keyPath: ["sessionId", "seq"] });
+          os.createIndex("sessionId", "sessionId", { unique: false });
+        }
+
+        // v4: histórico de edição, um registro por sessão
+        if (!d.objectStoreNames.contains(PERSIST.STORE_HISTORY)) {
+          d.createObjectStore(PERSIST.STORE_HISTORY, { keyPath: "sessionId" });
+        }
+
+        // v5: áudio bruto, blocos [sessionId, take, seq]
+        if (!d.objectStoreNames.contains(PERSIST.STORE_AUDIO)) {
+          d.createObjectStore(PERSIST.STORE_AUDIO, { keyPath: ["sessionId", "take", "seq"] });
+        }
+
+        // v1/v2 -> v3: transcriptHTML/segments viram chunks
+        if (event.oldVersion >= 1 && event.oldVersion < 3) {
+          migrateSessionsToChunks(req.transaction, event.oldVersion);
+        }
       };
 
       req.onsuccess = () => resolve(req.result);
@@ -88,6 +201,53 @@ export function createPersist(opts) {
     });
   }
 
+  function segmentStats(segments) {
+    return {
+      segmentCount: segments.length,
+      wordCount: countWords(segments),
+      durationMs: segments.reduce((max, seg) => (seg.end != null && seg.end > max ? seg.end : max), 0),
+    };
+  }
+
+  function splitChunks(sessionId, segments, fromSeq = 0) {
+    const chunks = [];
+    for (let seq = fromSeq; seq * PERSIST.CHUNK_SIZE < segments.length; seq++) {
+      chunks.push({
+        sessionId,
+        seq,
+        segments: segments.slice(seq * PERSIST.CHUNK_SIZE, (seq + 1) * PERSIST.CHUNK_SIZE),
+      });
+    }
+    return chunks;
+  }
+
+  function migrateSessionsToChunks(t, oldVersion) {
+    const sessOS = t.objectStore(PERSIST.STORE_SESS);
+    const chunkOS = t.objectStore(PERSIST.STORE_CHUNKS);
+
+    const cursorReq = sessOS.openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+
+      const sess = cursor.value;
+      const segments = Array.isArray(sess.segments)
+        ? sess.segments
+        : oldVersion < 2
+          ? htmlToSegments(sess.transcriptHTML, { language: sess.language })
+          : [];
+
+      for (const c of splitChunks(sess.id, segments)) chunkOS.put(c);
+
+      delete sess.transcriptHTML;
+      delete sess.nLines;
+      delete sess.segments;
+      Object.assign(sess, segmentStats(segments));
+      cursor.update(sess);
+      cursor.continue();
+    };
+  }
+
   function tx(storeName, mode = "readonly") {
     const t = db.transaction(storeName, mode);
     return t.objectStore(storeName);
@@ -120,6 +280,103 @@ export function createPersist(opts) {
     });
   }
 
+  function idbGetChunks(sessionId) {
+    return new Promise((resolve, reject) => {
+      const os = tx(PERSIST.STORE_CHUNKS, "readonly");
+      const req = os.index("sessionId").getAll(IDBKeyRange.only(sessionId));
+      req.onsuccess = () => {
+        const all = req.result || [];
+        all.sort((a, b) => a.seq - b.seq);
+        resolve(all);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // grava os chunks informados e remove os que sobraram além de chunkCount
+  function idbWriteChunks(sessionId, chunks, chunkCount) {
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(PERSIST.STORE_CHUNKS, "readwrite");
+      const os = t.objectStore(PERSIST.STORE_CHUNKS);
+
+      for (const c of chunks) os.put(c);
+      os.delete(IDBKeyRange.bound([sessionId, chunkCount], [sessionId, Infinity]));
+
+      t.oncomplete = () => resolve(true);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  // Autosave numa transação só: blocos, histórico (opcional) e os campos de
+  // patch relidos no registro atual, para não desfazer o que outras funções
+  // gravaram nele (marcadores, falantes, tomadas de áudio...). Resolve com o
+  // registro gravado, ou null se a sessão não existe (nada é gravado).
+  function idbSaveActive(sessionId, chunks, chunkCount, history, patch) {
+    return new Promise((resolve, reject) => {
+      const t = db.transaction([PERSIST.STORE_SESS, PERSIST.STORE_CHUNKS, PERSIST.STORE_HISTORY], "readwrite");
+      const sessOS = t.objectStore(PERSIST.STORE_SESS);
+      let saved = null;
+
+      sessOS.get(sessionId).onsuccess = (e) => {
+        const cur = e.target.result;
+        if (!cur) return;
+
+        const chunkOS = t.objectStore(PERSIST.STORE_CHUNKS);
+        for (const c of chunks) chunkOS.put(c);
+        chunkOS.delete(IDBKeyRange.bound([sessionId, chunkCount], [sessionId, Infinity]));
+        if (history) t.objectStore(PERSIST.STORE_HISTORY).put(history);
+
+        saved = Object.assign(cur, patch);
+        sessOS.put(saved);
+      };
+
+      t.oncomplete = () => resolve(saved);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  function idbDeleteChunks(sessionId) {
+    return new Promise((resolve, reject) => {
+      const os = tx(PERSIST.STORE_CHUNKS, "readwrite");
+      const req = os.delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function loadSegments(sessionId) {
+    const chunks = await idbGetChunks(sessionId);
+    const out = [];
+    // normaliza 1:1 (sem descartar) para não deslocar os blocos gravados
+    for (const c of chunks) out.push(...(c.segments || []).map((s) => normalizeSegment(s)));
+    return out;
+  }
+
+  // todas as tomadas de áudio da sessão: [id] < [id, take, seq] < [id, []]
+  function audioRange(sessionId, take) {
+    return take == null
+      ? IDBKeyRange.bound([sessionId], [sessionId, []])
+      : IDBKeyRange.bound([sessionId, take], [sessionId, take, []]);
+  }
+
+  function idbDeleteAudio(sessionId) {
+    return new Promise((resolve, reject) => {
+      const os = tx(PERSIST.STORE_AUDIO, "readwrite");
+      const req = os.delete(audioRange(sessionId));
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function removeSessionData(id) {
+    await idbDelete(PERSIST.STORE_SESS, id);
+    await idbDeleteChunks(id);
+    await idbDelete(PERSIST.STORE_HISTORY, id);
+    await idbDeleteAudio(id);
+  }
+
   function idbGetAllSessions() {
     return new Promise((resolve, reject) => {
       const os = tx(PERSIST.STORE_SESS, "readonly");
@@ -138,14 +395,302 @@ export function createPersist(opts) {
     return `sess_${Date.now()}_${Math.random().toString(16).slice(2)}${Math.random().toString(16).slice(2)}`;
   }
 
-  async function trimOldSessions() {
+  // ═══════════════════════════════════════════════════════════════════
+  // RETENÇÃO, FIXAÇÃO, ARQUIVO E LIXEIRA
+  // ═══════════════════════════════════════════════════════════════════
+
+  function isTrashed(sess) {
+    return sess.state === "trash";
+  }
+
+  function purgeAt(sess) {
+    if (!isTrashed(sess) || !sess.trashedAt) return null;
+    return new Date(Date.parse(sess.trashedAt) + retention.trashDays * PERSIST.DAY_MS).toISOString();
+  }
+
+  async function loadRetention() {
+    const meta = await idbGet(PERSIST.STORE_META, PERSIST.META_KEY_RETENTION);
+    retention = { ...DEFAULT_RETENTION, ...(meta?.value || {}) };
+    ui({ retention: { ...retention } });
+    return retention;
+  }
+
+  async function setRetention(patch) {
+    const next = { ...retention };
+    for (const k of Object.keys(DEFAULT_RETENTION)) {
+      if (patch && patch[k] != null) {
+        const n = Number(patch[k]);
+        if (Number.isFinite(n) && n >= 0) next[k] = n;
+      }
+    }
+    retention = next;
+    await idbPut(PERSIST.STORE_META, {
+      key: PERSIST.META_KEY_RETENTION,
+      value: retention,
+      updatedAt: nowISO(),
+    });
+    ui({ retention: { ...retention } });
+    return applyRetention();
+  }
+
+  async function storageUsageMB() {
+    try {
+      if (!navigator.storage || !navigator.storage.estimate) return null;
+      const est = await navigator.storage.estimate();
+      return { usage: (est.usage || 0) / 1048576, quota: (est.quota || 0) / 1048576 };
+    } catch {
+      return null;
+    }
+  }
+
+  // soma o tamanho (JSON) dos registros de storeName às sessões de bytes
+  function idbSizeBySession(storeName, bytes) {
+    return new Promise((resolve, reject) => {
+      const req = tx(storeName, "readonly").openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(bytes);
+        const id = cursor.value.sessionId;
+        if (bytes.has(id)) bytes.set(id, bytes.get(id) + JSON.stringify(cursor.value).length);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Estimativa do que cada sessão ocupa (registro, blocos, histórico e
+  // áudio). É a medida do limite maxStorageMB: navigator.storage.estimate()
+  // conta a origem inteira, inclusive o cache de modelos do Whisper.
+  async function sessionBytes(sessions) {
+    const bytes = new Map(sessions.map((sess) => [sess.id, JSON.stringify(sess).length + (sess.audio?.bytes || 0)]));
+    await idbSizeBySession(PERSIST.STORE_CHUNKS, bytes);
+    await idbSizeBySession(PERSIST.STORE_HISTORY, bytes);
+    return bytes;
+  }
+
+  async function liveSessionsMB() {
+    const live = (await idbGetAllSessions()).filter((sess) => !isTrashed(sess));
+    let total = 0;
+    for (const n of (await sessionBytes(live)).values()) total += n;
+    return total / 1048576;
+  }
+
+  // storage: { usage, quota } da origem (null se o navegador não informa)
+  // e sessionsMB, o que conta para o limite de armazenamento
+  async function refreshStorageUI() {
+    const est = await storageUsageMB();
+    const storage = { ...(est || {}), sessionsMB: ready ? await liveSessionsMB() : 0 };
+    ui({ storage });
+    return storage;
+  }
+
+  async function moveToTrash(id) {
+    const sess = await idbGet(PERSIST.STORE_SESS, id);
+    if (!sess || isTrashed(sess)) return false;
+    sess.state = "trash";
+    sess.trashedAt = nowISO();
+    await idbPut(PERSIST.STORE_SESS, sess);
+    return true;
+  }
+
+  async function restoreFromTrash(id) {
+    const sess = await idbGet(PERSIST.STORE_SESS, id);
+    if (!sess || !isTrashed(sess)) return false;
+    sess.state = "normal";
+    delete sess.trashedAt;
+    sess.updatedAt = nowISO();
+    await idbPut(PERSIST.STORE_SESS, sess);
+    await refreshSessionsUI();
+    return true;
+  }
+
+  async function purgeSession(id) {
+    if (id === activeSessionId) return false;
+    await removeSessionData(id);
+    await refreshSessionsUI();
+    await refreshStorageUI();
+    return true;
+  }
+
+  async function emptyTrash() {
     const all = await idbGetAllSessions();
-    if (all.length <= PERSIST.MAX_SESSIONS) return;
+    let n = 0;
+    for (const sess of all) {
+      if (isTrashed(sess) && sess.id !== activeSessionId) {
+        await removeSessionData(sess.id);
+        n++;
+      }
+    }
+    await refreshSessionsUI();
+    await refreshStorageUI();
+    return n;
+  }
+
+  async function updateSessionFlags(id, patch) {
+    const sess = await idbGet(PERSIST.STORE_SESS, id);
+    if (!sess) return false;
+    Object.assign(sess, patch);
+    await idbPut(PERSIST.STORE_SESS, sess);
+    await refreshSessionsUI();
+    return true;
+  }
+
+  // Renomear / etiquetas / descrição
+  async function updateSessionMeta(id, patch) {
+    const clean = {};
+    if (patch.title != null) {
+      const t = sanitizeLabel(patch.title);
+      if (t) clean.title = t;
+    }
+    if (Array.isArray(patch.tags)) {
+      clean.tags = Array.from(new Set(patch.tags.map((t) => sanitizeLabel(t, 60)).filter(Boolean))).slice(0, 50);
+    }
+    if (patch.description != null) clean.description = sanitizeText(patch.description).slice(0, 5000);
+    return updateSessionFlags(id, clean);
+  }
+
+  // Vocabulário próprio da sessão (o global fica nas preferências)
+  async function updateSessionVocabulary(id, vocabulary) {
+    return updateSessionFlags(id, { vocabulary: normalizeVocabulary(vocabulary) });
+  }
+
+  // Falantes da sessão (nomes e cores); os segmentos guardam só o id
+  async function updateSessionSpeakers(id, speakers) {
+    return updateSessionFlags(id, { speakers: normalizeSpeakers(speakers) });
+  }
 
-    const toRemove = all.slice(PERSIST.MAX_SESSIONS);
-    for (const s of toRemove) {
-      await idbDelete(PERSIST.STORE_SESS, s.id);
+  // Marcadores da sessão (tempo na linha do tempo da sessão + nota)
+  async function updateSessionBookmarks(id, bookmarks) {
+    return updateSessionFlags(id, { bookmarks: normalizeBookmarks(bookmarks) });
+  }
+
+  // Busca em título, etiquetas, descrição e no texto de todas as sessões
+  // (exceto lixeira). Resultado por sessão, mais recentes primeiro.
+  async function searchSessions(query, opts = {}) {
+    const { maxHitsPerSession = 20 } = opts;
+    const q = foldText(query).trim();
+    if (!ready || !q) return [];
+
+    await autosaveNow("manual");
+
+    const all = (await idbGetAllSessions()).filter((sess) => !isTrashed(sess));
+    const results = [];
+
+    for (const sess of all) {
+      const metaHit =
+        foldText(sess.title).includes(q) ||
+        foldText(sess.description).includes(q) ||
+        (sess.tags || []).some((t) => foldText(t).includes(q));
+
+      const segments = await loadSegments(sess.id);
+      const hits = [];
+      let total = 0;
+      segments.forEach((seg, index) => {
+        const n = findMatches(seg.text, q).length;
+        if (!n) return;
+        total += n;
+        if (hits.length < maxHitsPerSession) {
+          hits.push({ index, segmentId: seg.id, start: seg.start, snippet: makeSnippet(seg.text, q) });
+        }
+      });
+
+      if (metaHit || hits.length) {
+        results.push({ sessionId: sess.id, title: sess.title || shortId(sess.id), metaHit, total, hits });
+      }
     }
+
+    return results;
+  }
+
+  function setPinned(id, pinned) {
+    return updateSessionFlags(id, { pinned: !!pinned });
+  }
+
+  function setArchived(id, archived) {
+    return updateSessionFlags(id, { state: archived ? "archived" : "normal" });
+  }
+
+  // Aplica a política: apaga da lixeira o que venceu e manda para a
+  // lixeira o que excede idade/quantidade/armazenamento. Nada sai da
+  // lixeira antes de trashDays.
+  async function applyRetention() {
+    const report = { trashed: 0, purged: 0, overStorage: false };
+    if (!ready) return report;
+
+    const now = Date.now();
+    let all = await idbGetAllSessions();
+
+    // 1. lixeira vencida
+    for (const sess of all) {
+      const at = purgeAt(sess);
+      if (at && Date.parse(at) <= now && sess.id !== activeSessionId) {
+        await removeSessionData(sess.id);
+        report.purged++;
+      }
+    }
+
+    all = await idbGetAllSessions();
+    const candidates = all.filter((sess) => !isTrashed(sess) && !sess.pinned && sess.id !== activeSessionId);
+
+    // mais antigas primeiro
+    candidates.sort((a, b) => (a.updatedAt || "").localeCompare(b.updatedAt || ""));
+    const toTrash = new Set();
+
+    // 2. idade
+    if (retention.maxAgeDays > 0) {
+      const limit = new Date(now - retention.maxAgeDays * PERSIST.DAY_MS).toISOString();
+      for (const sess of candidates) {
+        if ((sess.updatedAt || "") < limit) toTrash.add(sess.id);
+      }
+    }
+
+    // 3. quantidade (conta todas as não descartadas, inclusive fixadas)
+    if (retention.maxCount > 0) {
+      let kept = all.filter((sess) => !isTrashed(sess)).length - toTrash.size;
+      for (const sess of candidates) {
+        if (kept <= retention.maxCount) break;
+        if (toTrash.has(sess.id)) continue;
+        toTrash.add(sess.id);
+        kept--;
+      }
+    }
+
+    for (const id of toTrash) {
+      if (await moveToTrash(id)) report.trashed++;
+    }
+
+    // 4. armazenamento: conta só as sessões fora da lixeira e manda as mais
+    // antigas para a lixeira até caber; o espaço volta quando a lixeira vence
+    if (retention.maxStorageMB > 0) {
+      const live = (await idbGetAllSessions()).filter((sess) => !isTrashed(sess));
+      const bytes = await sessionBytes(live);
+      const limit = retention.maxStorageMB * 1048576;
+      let total = 0;
+      for (const n of bytes.values()) total += n;
+
+      const oldest = live
+        .filter((sess) => !sess.pinned && sess.id !== activeSessionId)
+        .sort((a, b) => (a.updatedAt || "").localeCompare(b.updatedAt || ""));
+
+      for (const sess of oldest) {
+        if (total <= limit) break;
+        if (await moveToTrash(sess.id)) report.trashed++;
+        total -= bytes.get(sess.id) || 0;
+      }
+
+      report.overStorage = total > limit;
+      if (report.overStorage) {
+        banner(`Sessões fixadas e a ativa ocupam ${Math.round(total / 1048576)} MB, acima do limite de ${retention.maxStorageMB} MB. Exporte ou desafixe sessões antigas.`);
+      }
+    }
+
+    if (report.trashed) {
+      banner(`${report.trashed} sessão(ões) movida(s) para a lixeira pela política de retenção.`);
+    }
+
+    await refreshSessionsUI();
+    await refreshStorageUI();
+    return report;
   }
 
   async function refreshSessionsUI() {
@@ -155,6 +700,17 @@ export function createPersist(opts) {
       title: s.title || shortId(s.id),
       updatedAt: s.updatedAt || null,
       isActive: s.id === activeSessionId,
+      tags: Array.isArray(s.tags) ? s.tags : [],
+      description: s.description || "",
+      language: s.language || null,
+      durationMs: s.durationMs || 0,
+      wordCount: s.wordCount || 0,
+      segmentCount: s.segmentCount || 0,
+      audioBytes: s.audio?.bytes || 0,
+      pinned: !!s.pinned,
+      state: s.state || "normal",
+      trashedAt: s.trashedAt || null,
+      purgeAt: purgeAt(s),
     }));
 
     ui({ sessions: uiSessions });
@@ -162,6 +718,8 @@ export function createPersist(opts) {
 
   async function setActiveSession(id) {
     activeSessionId = id;
+    pendingDirtyFrom = 0;
+    savedHistoryRevision = null;
     await idbPut(PERSIST.STORE_META, {
       key: PERSIST.META_KEY_ACTIVE,
       value: id,
@@ -183,18 +741,23 @@ export function createPersist(opts) {
       createdAt: nowISO(),
       updatedAt: nowISO(),
       title: `Sessão ${new Date().toLocaleString()}`,
-      transcriptHTML: "",
-      nLines: 0,
-      language: getLanguage?.() || "pt",
+      segmentCount: 0,
+      language: getLanguage?.() || DEFAULT_LANGUAGE,
       wasRecording: false,
+      pinned: false,
+      state: "normal",
     };
 
     await idbPut(PERSIST.STORE_SESS, sess);
 
-    if (makeActive) await setActiveSession(id);
+    if (makeActive) {
+      await setActiveSession(id);
+      setSessionVocabulary?.(null);
+      setSessionSpeakers?.(null);
+      setSessionBookmarks?.(null);
+    }
 
-    await trimOldSessions();
-    await refreshSessionsUI();
+    await applyRetention();
 
     ui({
       lastSaveLabel: "—",
@@ -211,10 +774,22 @@ export function createPersist(opts) {
       return false;
     }
 
-    if (sess.language) setLanguage?.(sess.language);
-
-    setTranscriptHtml?.(sess.transcriptHTML || "");
-    setNLines?.(Number.isFinite(sess.nLines) ? sess.nLines : 0);
+    // sessões antigas gravavam "pt"/"en"; a tag exata vale a partir daqui
+    if (sess.language) setLanguage?.(normalizeLanguage(sanitizeLabel(sess.language, 40)));
+
+    const loaded = await loadSegments(id);
+    setSegments?.(loaded);
+    setSessionVocabulary?.(sess.vocabulary ? normalizeVocabulary(sess.vocabulary) : null);
+    setSessionSpeakers?.(normalizeSpeakers(sess.speakers));
+    setSessionBookmarks?.(normalizeBookmarks(sess.bookmarks));
+    setHistory?.(await idbGet(PERSIST.STORE_HISTORY, id));
+    // se é a sessão ativa, o que veio do banco já está gravado; senão o
+    // conteúdo carregado passa a ser o da ativa no próximo autosave.
+    // Segmentos descartados na sanitização também forçam regravar tudo.
+    takeDirtyFrom?.();
+    const intact = (getSegments?.() || []).length === loaded.length;
+    pendingDirtyFrom = id === activeSessionId && intact ? Infinity : 0;
+    savedHistoryRevision = id === activeSessionId ? getHistory?.().revision : null;
 
     ui({
       lastSaveLabel: fmtTime(sess.updatedAt),
@@ -247,28 +822,45 @@ export function createPersist(opts) {
     if (!ready || !activeSessionId) return;
     if (!autosaveDirty && reason === "autosave") return;
 
-    const html = getTranscriptHtml?.() || "";
-    const n = getNLines?.() ?? 0;
-    const lang = getLanguage?.() || "pt";
+    const segments = getSegments?.() || [];
+    const lang = getLanguage?.() || DEFAULT_LANGUAGE;
     const rec = getWasRecording?.() ? "1" : "0";
 
-    const h = simpleHash(html + "|" + n + "|" + lang + "|" + rec);
-    if (h === lastSavedHash && reason === "autosave") {
+    // sem takeDirtyFrom, regrava tudo
+    const taken = takeDirtyFrom ? takeDirtyFrom() : 0;
+    pendingDirtyFrom = Math.min(pendingDirtyFrom, taken);
+
+    const history = getHistory?.() || null;
+    const historyChanged = !!history && history.revision !== savedHistoryRevision;
+
+    const h = simpleHash(segments.length + "|" + lang + "|" + rec);
+    if (h === lastSavedHash && pendingDirtyFrom === Infinity && !historyChanged && reason === "autosave") {
       autosaveDirty = false;
       return;
     }
 
-    const sess = await idbGet(PERSIST.STORE_SESS, activeSessionId);
+    const chunkCount = Math.ceil(segments.length / PERSIST.CHUNK_SIZE);
+    const fromSeq = pendingDirtyFrom === Infinity
+      ? chunkCount
+      : Math.floor(Math.min(pendingDirtyFrom, segments.length) / PERSIST.CHUNK_SIZE);
+    const revision = historyChanged ? history.revision : savedHistoryRevision;
+
+    const sess = await idbSaveActive(
+      activeSessionId,
+      splitChunks(activeSessionId, segments, fromSeq),
+      chunkCount,
+      historyChanged ? { sessionId: activeSessionId, undo: history.undo, redo: history.redo, updatedAt: nowISO() } : null,
+      {
+        ...segmentStats(segments),
+        language: lang,
+        updatedAt: nowISO(),
+        wasRecording: !!getWasRecording?.(),
+      }
+    );
     if (!sess) return;
 
-    sess.transcriptHTML = html;
-    sess.nLines = Number.isFinite(n) ? n : sess.nLines;
-    sess.language = lang || sess.language || "pt";
-    sess.updatedAt = nowISO();
-    sess.wasRecording = !!getWasRecording?.();
-
-    await idbPut(PERSIST.STORE_SESS, sess);
-
+    pendingDirtyFrom = Infinity;
+    savedHistoryRevision = revision;
     lastSavedHash = h;
     autosaveDirty = false;
 
@@ -295,8 +887,10 @@ export function createPersist(opts) {
     }, PERSIST.AUTOSAVE_MS);
   }
 
+  // "Apagar" move para a lixeira; a sessão pode ser restaurada até purgeAt
   async function deleteSession(id) {
-    await idbDelete(PERSIST.STORE_SESS, id);
+    await autosaveNow("manual");
+    await moveToTrash(id);
 
     // se apagou a ativa, cria outra ativa
     if (id === activeSessionId) {
@@ -304,7 +898,7 @@ export function createPersist(opts) {
       await idbDelete(PERSIST.STORE_META, PERSIST.META_KEY_ACTIVE);
 
       await createNewSession(true);
-      banner("Sessão apagada. Uma nova sessão ativa foi criada.");
+      banner("Sessão movida para a lixeira. Uma nova sessão ativa foi criada.");
     }
 
     await refreshSessionsUI();
@@ -324,6 +918,8 @@ export function createPersist(opts) {
 
       ui({ persistState: "ativo" });
 
+      await loadRetention();
+
       const meta = await idbGet(PERSIST.STORE_META, PERSIST.META_KEY_ACTIVE);
       activeSessionId = meta?.value || null;
 
@@ -331,7 +927,8 @@ export function createPersist(opts) {
         await createNewSession(true);
       } else {
         const existing = await idbGet(PERSIST.STORE_SESS, activeSessionId);
-        if (!existing) await createNewSession(true);
+        if (!existing || isTrashed(existing)) await createNewSession(true);
+        else await applyRetention();
       }
 
       ui({
@@ -361,6 +958,434 @@ export function createPersist(opts) {
     return activeSessionId;
   }
 
+  // Grava sessões vindas de importação. IDs ausentes, fora do padrão sess_…
+  // ou já existentes recebem um ID novo. Não altera a sessão ativa.
+  async function importSessions(entries) {
+    const report = { imported: 0, segments: 0, renamed: [], ids: [] };
+    if (!ready) return report;
+
+    for (const entry of entries || []) {
+      const src = entry.session || {};
+      let id = src.id;
+
+      const valid = typeof id === "string" && /^sess_[\w]+$/.test(id);
+      if (!valid || (await idbGet(PERSIST.STORE_SESS, id))) {
+        const newId = newSessionId();
+        if (id) report.renamed.push({ from: id, to: newId });
+        id = newId;
+      }
+
+      const segments = cleanSegments(entry.segments);
+      const chunks = splitChunks(id, segments);
+
+      await idbPut(PERSIST.STORE_SESS, {
+        id,
+        createdAt: src.createdAt || nowISO(),
+        // updatedAt atual: a sessão importada aparece no topo e não é podada
+        updatedAt: nowISO(),
+        title: sanitizeLabel(src.title) || `Importada ${new Date().toLocaleString()}`,
+        ...segmentStats(segments),
+        language: src.language ? normalizeLanguage(sanitizeLabel(src.language, 40)) : getLanguage?.() || DEFAULT_LANGUAGE,
+        tags: Array.isArray(src.tags)
+          ? Array.from(new Set(src.tags.map((t) => sanitizeLabel(t, 60)).filter(Boolean))).slice(0, 50)
+          : [],
+        description: sanitizeText(src.description).slice(0, 5000),
+        vocabulary: src.vocabulary ? normalizeVocabulary(src.vocabulary) : null,
+        speakers: normalizeSpeakers(src.speakers),
+        bookmarks: normalizeBookmarks(src.bookmarks),
+        wasRecording: false,
+        pinned: false,
+        state: "normal",
+      });
+      await idbWriteChunks(id, chunks, chunks.length);
+
+      report.imported++;
+      report.segments += segments.length;
+      report.ids.push(id);
+    }
+
+    // sem applyRetention aqui: importar não deve descartar sessões locais
+    await refreshSessionsUI();
+    return report;
+  }
+
+  // Sessões com seus segmentos (para export em JSON); ids = null -> todas
+  async function exportSessions(ids) {
+    if (!ready) return [];
+    await autosaveNow("manual");
+
+    const wanted = ids ? new Set(ids) : null;
+    const all = (await idbGetAllSessions()).filter((sess) => !isTrashed(sess) && (!wanted || wanted.has(sess.id)));
+    const out = [];
+    for (const sess of all) {
+      out.push({ session: sess, segments: await loadSegments(sess.id) });
+    }
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // BACKUP COMPLETO / RESTAURAÇÃO
+  // ═══════════════════════════════════════════════════════════════════
+
+  function idbGetAll(storeName) {
+    return new Promise((resolve, reject) => {
+      const req = tx(storeName, "readonly").getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function backupDatabase() {
+    if (!ready) throw new Error("Banco indisponível.");
+    await autosaveNow("manual");
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      dbVersion: PERSIST.DB_VER,
+      createdAt: nowISO(),
+      stores: {
+        [PERSIST.STORE_SESS]: await idbGetAll(PERSIST.STORE_SESS),
+        [PERSIST.STORE_META]: await idbGetAll(PERSIST.STORE_META),
+        [PERSIST.STORE_CHUNKS]: await idbGetAll(PERSIST.STORE_CHUNKS),
+        [PERSIST.STORE_HISTORY]: await idbGetAll(PERSIST.STORE_HISTORY),
+      },
+    };
+  }
+
+  // Valida e normaliza o arquivo; lança Error com mensagem para o banner
+  function readBackup(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+      throw new Error("Arquivo não é um backup completo deste app.");
+    }
+    if (!(archive.version <= BACKUP_VERSION)) {
+      throw new Error(`Versão de backup não suportada: ${archive.version}.`);
+    }
+    if (!(archive.dbVersion <= PERSIST.DB_VER)) {
+      throw new Error(`Backup gerado por um banco mais novo (v${archive.dbVersion}).`);
+    }
+
+    const stores = archive.stores || {};
+    const sessions = (stores[PERSIST.STORE_SESS] || [])
+      .filter((sess) => sess && typeof sess.id === "string" && /^sess_[\w]+$/.test(sess.id))
+      .map(cleanSessionFields);
+    const ids = new Set(sessions.map((sess) => sess.id));
+
+    // blocos sanitizados e reagrupados por sessão (mantém CHUNK_SIZE por bloco)
+    const bySession = new Map();
+    for (const c of stores[PERSIST.STORE_CHUNKS] || []) {
+      if (!c || !ids.has(c.sessionId) || !Number.isInteger(c.seq) || !Array.isArray(c.segments)) continue;
+      if (!bySession.has(c.sessionId)) bySession.set(c.sessionId, []);
+      bySession.get(c.sessionId).push(c);
+    }
+    const chunks = [];
+    for (const [sessionId, list] of bySession) {
+      list.sort((a, b) => a.seq - b.seq);
+      chunks.push(...splitChunks(sessionId, cleanSegments(list.flatMap((c) => c.segments))));
+    }
+    const meta = (stores[PERSIST.STORE_META] || []).filter((m) => m && typeof m.key === "string");
+    // backups anteriores à v4 não têm histórico
+    const history = (stores[PERSIST.STORE_HISTORY] || []).filter(
+      (hst) => hst && ids.has(hst.sessionId) && Array.isArray(hst.undo) && Array.isArray(hst.redo)
+    );
+
+    if (!sessions.length) throw new Error("Backup sem sessões válidas.");
+    return { sessions, chunks, meta, history };
+  }
+
+  // Dry-run: descreve o que restoreDatabase faria, sem gravar nada.
+  // mode: "merge" (mantém locais; sobrescreve só se o backup for mais novo)
+  //     | "replace" (apaga tudo e grava o backup)
+  async function planRestore(archive, mode = "merge") {
+    const data = readBackup(archive);
+    const local = await idbGetAllSessions();
+    const localById = new Map(local.map((sess) => [sess.id, sess]));
+    const localMeta = new Set((await idbGetAll(PERSIST.STORE_META)).map((m) => m.key));
+
+    const plan = {
+      mode,
+      add: [],
+      overwrite: [],
+      keep: [],
+      remove: [],
+      meta: [],
+      segments: 0,
+      // sessões locais com áudio que a restauração apaga (só em "replace")
+      audioLost: [],
+      backupCreatedAt: archive.createdAt || null,
+    };
+
+    for (const sess of data.sessions) {
+      const cur = localById.get(sess.id);
+      if (!cur || mode === "replace") plan.add.push(sess.id);
+      else if ((sess.updatedAt || "") > (cur.updatedAt || "")) plan.overwrite.push(sess.id);
+      else plan.keep.push(sess.id);
+    }
+
+    if (mode === "replace") {
+      const incoming = new Set(data.sessions.map((sess) => sess.id));
+      plan.remove = local.filter((sess) => !incoming.has(sess.id)).map((sess) => sess.id);
+      plan.meta = data.meta.map((m) => m.key);
+      plan.audioLost = local.filter((sess) => sess.audio?.takes?.length).map((sess) => sess.id);
+    } else {
+      plan.meta = data.meta.map((m) => m.key).filter((k) => !localMeta.has(k));
+    }
+
+    const written = new Set([...plan.add, ...plan.overwrite]);
+    for (const c of data.chunks) {
+      if (written.has(c.sessionId)) plan.segments += c.segments.length;
+    }
+
+    return plan;
+  }
+
+  async function restoreDatabase(archive, mode = "merge") {
+    if (!ready) throw new Error("Banco indisponível.");
+
+    const data = readBackup(archive);
+    const plan = await planRestore(archive, mode);
+    const written = new Set([...plan.add, ...plan.overwrite]);
+    const metaKeys = new Set(plan.meta);
+
+    await new Promise((resolve, reject) => {
+      const stores = [PERSIST.STORE_SESS, PERSIST.STORE_META, PERSIST.STORE_CHUNKS, PERSIST.STORE_HISTORY, PERSIST.STORE_AUDIO];
+      const t = db.transaction(stores, "readwrite");
+      const sessOS = t.objectStore(PERSIST.STORE_SESS);
+      const metaOS = t.objectStore(PERSIST.STORE_META);
+      const chunkOS = t.objectStore(PERSIST.STORE_CHUNKS);
+      const histOS = t.objectStore(PERSIST.STORE_HISTORY);
+      const audioOS = t.objectStore(PERSIST.STORE_AUDIO);
+
+      if (mode === "replace") {
+        sessOS.clear();
+        metaOS.clear();
+        chunkOS.clear();
+        histOS.clear();
+        audioOS.clear();
+      }
+
+      // o backup não leva áudio: na mesclagem, a sessão sobrescrita fica com
+      // as tomadas locais (blocos no store "audio" e o resumo em sess.audio)
+      for (const sess of data.sessions) {
+        if (!written.has(sess.id)) continue;
+        const { audio, ...rest } = sess;
+        chunkOS.delete(IDBKeyRange.bound([sess.id, 0], [sess.id, Infinity]));
+        histOS.delete(sess.id);
+        if (mode === "replace") {
+          sessOS.put(rest);
+          continue;
+        }
+        sessOS.get(sess.id).onsuccess = (e) => {
+          const cur = e.target.result;
+          sessOS.put(cur?.audio ? { ...rest, audio: cur.audio } : rest);
+        };
+      }
+      for (const c of data.chunks) {
+        if (written.has(c.sessionId)) chunkOS.put(c);
+      }
+      for (const hst of data.history) {
+        if (written.has(hst.sessionId)) histOS.put(hst);
+      }
+      for (const m of data.meta) {
+        if (metaKeys.has(m.key)) metaOS.put(m);
+      }
+
+      t.oncomplete = () => resolve(true);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+
+    // sessão ativa pode ter mudado (replace) ou sido sobrescrita (merge)
+    const meta = await idbGet(PERSIST.STORE_META, PERSIST.META_KEY_ACTIVE);
+    activeSessionId = meta?.value || null;
+    if (!activeSessionId || !(await idbGet(PERSIST.STORE_SESS, activeSessionId))) {
+      await createNewSession(true);
+    }
+
+    lastSavedHash = "";
+    await refreshSessionsUI();
+    await restoreSessionById(activeSessionId);
+
+    return plan;
+  }
+
+  function exportAllSessions() {
+    return exportSessions(null);
+  }
+
+  async function getSessionSegments(id) {
+    if (!ready) return [];
+    if (id === activeSessionId) await autosaveNow("manual");
+    return loadSegments(id);
+  }
+
+  // Move várias sessões para a lixeira; se a ativa estiver entre elas, cria outra
+  async function deleteSessions(ids) {
+    if (!ready) return 0;
+    await autosaveNow("manual");
+
+    let n = 0;
+    for (const id of ids || []) {
+      if (await moveToTrash(id)) n++;
+    }
+
+    if ((ids || []).includes(activeSessionId)) {
+      activeSessionId = null;
+      await idbDelete(PERSIST.STORE_META, PERSIST.META_KEY_ACTIVE);
+      await createNewSession(true);
+      await restoreSessionById(activeSessionId);
+    }
+
+    await refreshSessionsUI();
+    return n;
+  }
+
+  // Junta sessões (ordem de criação) numa nova sessão; os tempos de cada uma
+  // são deslocados para continuar após o fim da anterior. Originais ficam intactas.
+  async function mergeSessions(ids, title) {
+    if (!ready || !ids || ids.length < 2) return null;
+    await autosaveNow("manual");
+
+    const list = [];
+    for (const id of ids) {
+      const sess = await idbGet(PERSIST.STORE_SESS, id);
+      if (sess) list.push(sess);
+    }
+    list.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+    const merged = [];
+    const bookmarks = [];
+    let offset = 0;
+    for (const sess of list) {
+      for (const bm of normalizeBookmarks(sess.bookmarks)) bookmarks.push({ ...bm, at: bm.at + offset });
+      let end = offset;
+      for (const seg of await loadSegments(sess.id)) {
+        const copy = normalizeSegment({
+          ...seg,
+          id: null,
+          start: seg.start != null ? seg.start + offset : null,
+          end: seg.end != null ? seg.end + offset : null,
+        });
+        if (copy.end != null && copy.end > end) end = copy.end;
+        merged.push(copy);
+      }
+      offset = end;
+    }
+
+    const report = await importSessions([{
+      session: {
+        title: title || `Mesclada: ${list.map((sess) => sess.title).join(" + ")}`.slice(0, 200),
+        language: list[0]?.language || null,
+        // os ids dos falantes são únicos, então as listas se somam sem conflito
+        speakers: list.flatMap((sess) => sess.speakers || []),
+        bookmarks,
+      },
+      segments: merged,
+    }]);
+    return report.ids[0] || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // ÁUDIO BRUTO (ver audioCapture.js)
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Tomadas gravadas: [{ take, offsetMs, durationMs, mimeType, bytes, chunks, startedAt }]
+  async function getAudioTakes(sessionId) {
+    if (!ready) return [];
+    const sess = await idbGet(PERSIST.STORE_SESS, sessionId || activeSessionId);
+    return (sess?.audio?.takes || []).slice().sort((a, b) => a.take - b.take);
+  }
+
+  // Grava um bloco; false se não cabe na cota do navegador (nada é gravado)
+  async function appendAudioChunk(sessionId, take, seq, blob) {
+    if (!ready || !blob || !blob.size) return true;
+    try {
+      if (navigator.storage && navigator.storage.estimate) {
+        const est = await navigator.storage.estimate();
+        if (est.quota && est.usage + blob.size > est.quota * 0.95) return false;
+      }
+      await idbPut(PERSIST.STORE_AUDIO, { sessionId, take, seq, blob });
+      return true;
+    } catch (e) {
+      if (e && e.name === "QuotaExceededError") return false;
+      throw e;
+    }
+  }
+
+  // Registra (ou atualiza) o resumo da tomada na sessão
+  async function saveAudioTake(sessionId, info) {
+    const sess = await idbGet(PERSIST.STORE_SESS, sessionId);
+    if (!sess) return false;
+    const takes = (sess.audio?.takes || []).filter((t) => t.take !== info.take);
+    takes.push(info);
+    takes.sort((a, b) => a.take - b.take);
+    sess.audio = { takes, bytes: takes.reduce((n, t) => n + (t.bytes || 0), 0) };
+    await idbPut(PERSIST.STORE_SESS, sess);
+    await refreshSessionsUI();
+    await refreshStorageUI();
+    return true;
+  }
+
+  // Blob de uma tomada (blocos em ordem), ou null
+  function getAudioBlob(sessionId, take, mimeType) {
+    return new Promise((resolve, reject) => {
+      const req = tx(PERSIST.STORE_AUDIO, "readonly").getAll(audioRange(sessionId, take));
+      req.onsuccess = () => {
+        const list = (req.result || []).sort((a, b) => a.seq - b.seq);
+        resolve(list.length ? new Blob(list.map((c) => c.blob), { type: mimeType || list[0].blob.type }) : null);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function deleteSessionAudio(sessionId) {
+    if (!ready) return false;
+    await idbDeleteAudio(sessionId);
+    await updateSessionFlags(sessionId, { audio: null });
+    await refreshStorageUI();
+    return true;
+  }
+
+  // metadados da sessão (sem os segmentos)
+  async function getSessionMeta(id) {
+    if (!ready) return null;
+    return idbGet(PERSIST.STORE_SESS, id || activeSessionId);
+  }
+
+  // último modelo Whisper carregado (preferência global, fora das sessões)
+  async function setLastModel(model) {
+    if (!ready || !model) return;
+    await idbPut(PERSIST.STORE_META, {
+      key: PERSIST.META_KEY_MODEL,
+      value: model,
+      updatedAt: nowISO(),
+    });
+  }
+
+  async function getLastModel() {
+    if (!ready) return null;
+    const meta = await idbGet(PERSIST.STORE_META, PERSIST.META_KEY_MODEL);
+    return meta?.value || null;
+  }
+
+  // Preferências da interface/motores (objeto livre, gravado mesclado)
+  async function getPreferences() {
+    if (!ready) return {};
+    const meta = await idbGet(PERSIST.STORE_META, PERSIST.META_KEY_PREFS);
+    return (meta && meta.value) || {};
+  }
+
+  async function setPreferences(patch) {
+    if (!ready) return {};
+    const value = { ...(await getPreferences()), ...(patch || {}) };
+    await idbPut(PERSIST.STORE_META, {
+      key: PERSIST.META_KEY_PREFS,
+      value,
+      updatedAt: nowISO(),
+    });
+    return value;
+  }
+
   return {
     init,
     scheduleAutosave,
@@ -370,5 +1395,37 @@ export function createPersist(opts) {
     deleteSession,
     setActiveSession,
     getActiveSessionId,
+    getSessionMeta,
+    importSessions,
+    exportAllSessions,
+    exportSessions,
+    getSessionSegments,
+    deleteSessions,
+    mergeSessions,
+    backupDatabase,
+    planRestore,
+    restoreDatabase,
+    applyRetention,
+    setRetention,
+    refreshStorageUI,
+    setPinned,
+    updateSessionMeta,
+    updateSessionVocabulary,
+    updateSessionSpeakers,
+    updateSessionBookmarks,
+    searchSessions,
+    setArchived,
+    restoreFromTrash,
+    purgeSession,
+    emptyTrash,
+    setLastModel,
+    getLastModel,
+    getPreferences,
+    setPreferences,
+    getAudioTakes,
+    appendAudioChunk,
+    saveAudioTake,
+    getAudioBlob,
+    deleteSessionAudio,
   };
 }
\ No newline at end of file
@@ -0,0 +1,297 @@
+// src/lib/postprocess.js
+// Pipeline de pós-processamento do texto final (antes de virar segmento).
+// Funções puras, sem DOM e com imports que o Node resolve (extensão .js):
+// testes em tests/postprocess.test.js (npm test).
+//
+// Configuração (gravada nas preferências):
+//   {
+//     steps: [{ id, enabled }],              ordem de execução
+//     rules: [{ find, replace, flags }],      regex do usuário (passo "rules")
+//     profanity: ["palavra", ...],            termos extras a mascarar
+//   }
+// Uso: const run = createPipeline(config); run(texto, { language: "pt-BR" })
+
+import { foldText } from "./search.js";
+
+// ─── regras do usuário ──────────────────────────────────────────────
+
+// Mensagem de erro da regra, ou null se válida
+export function validateRule(rule) {
+  if (!rule || !rule.find) return "Padrão vazio.";
+  try {
+    new RegExp(rule.find, normalizeFlags(rule.flags));
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+function normalizeFlags(flags) {
+  // "g" sempre; só flags seguras para replace
+  const allowed = String(flags == null ? "i" : flags).replace(/[^imsu]/g, "");
+  return "g" + Array.from(new Set(allowed)).join("");
+}
+
+function compileRules(rules) {
+  return (rules || [])
+    .filter(function(r) { return !validateRule(r); })
+    .map(function(r) { return { re: new RegExp(r.find, normalizeFlags(r.flags)), replace: String(r.replace || "") }; });
+}
+
+// ─── números por extenso ────────────────────────────────────────────
+
+const NUMBER_WORDS = {
+  pt: {
+    units: {
+      zero: 0, um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8,
+      nove: 9, dez: 10, onze: 11, doze: 12, treze: 13, quatorze: 14, catorze: 14, quinze: 15,
+      dezesseis: 16, dezasseis: 16, dezessete: 17, dezassete: 17, dezoito: 18, dezenove: 19, dezanove: 19,
+      vinte: 20, trinta: 30, quarenta: 40, cinquenta: 50, sessenta: 60, setenta: 70, oitenta: 80, noventa: 90,
+      cem: 100, cento: 100, duzentos: 200, duzentas: 200, trezentos: 300, trezentas: 300,
+      quatrocentos: 400, quatrocentas: 400, quinhentos: 500, quinhentas: 500, seiscentos: 600,
+      seiscentas: 600, setecentos: 700, setecentas: 700, oitocentos: 800, oitocentas: 800,
+      novecentos: 900, novecentas: 900,
+    },
+    scales: { mil: 1e3, milhao: 1e6, milhoes: 1e6, bilhao: 1e9, bilhoes: 1e9 },
+    hundred: null,
+    joiners: ["e"],
+  },
+  en: {
+    units: {
+      zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+      eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+      eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+      eighty: 80, ninety: 90,
+    },
+    scales: { thousand: 1e3, million: 1e6, billion: 1e9 },
+    hundred: "hundred",
+    joiners: ["and"],
+  },
+};
+
+function baseLanguage(language) {
+  return String(language || "").split("-")[0].toLowerCase();
+}
+
+// Valor de uma sequência de palavras numéricas (já sem conectores)
+function wordsToNumber(words, dict) {
+  let total = 0;
+  let current = 0;
+  for (const w of words) {
+    if (dict.hundred && w === dict.hundred) {
+      current = (current || 1) * 100;
+    } else if (dict.scales[w] != null) {
+      total += (current || 1) * dict.scales[w];
+      current = 0;
+    } else {
+      current += dict.units[w];
+    }
+  }
+  return total + current;
+}
+
+function valueOf(w, dict) {
+  if (dict.scales[w] != null) return dict.scales[w];
+  if (w === dict.hundred) return 100;
+  return dict.units[w];
+}
+
+function isMultiplier(w, dict) {
+  return dict.scales[w] != null || w === dict.hundred;
+}
+
+// "twenty three", "mil duzentos", "two hundred": sem conector
+function canFollow(prev, next, dict) {
+  if (isMultiplier(next, dict) || isMultiplier(prev, dict)) return true;
+  const p = valueOf(prev, dict);
+  const n = valueOf(next, dict);
+  return (p >= 20 && p < 100 && p % 10 === 0 && n < 10) || (p >= 100 && p % 100 === 0 && n < 100);
+}
+
+// "vinte e três", "cento e vinte", "mil e um", "hundred and five"
+function canJoin(prev, next, dict) {
+  if (isMultiplier(next, dict)) return false;
+  if (isMultiplier(prev, dict)) return true;
+  const p = valueOf(prev, dict);
+  return p >= 20 && valueOf(next, dict) < p && (p % 10 === 0);
+}
+
+// "vinte-e-três," -> { parts: ["vinte", "e", ...] } só se forem palavras numéricas
+function numberParts(token, dict) {
+  const m = /^([\p{L}-]+)([.,;:!?…]*)$/u.exec(token || "");
+  if (!m) return null;
+  const parts = foldText(m[1]).split("-").filter(function(p) { return p && !dict.joiners.includes(p); });
+  const ok = parts.length && parts.every(function(p) { return valueOf(p, dict) != null; });
+  return ok ? { parts, punct: m[2] } : null;
+}
+
+// "vinte e três" -> "23". Números isolados abaixo de 10 ficam por extenso
+// ("um carro", "one of them").
+export function normalizeNumbers(text, language) {
+  const dict = NUMBER_WORDS[baseLanguage(language)];
+  if (!dict || !text) return text;
+
+  // posições pares: palavras; ímpares: espaços
+  const tokens = String(text).split(/(\s+)/);
+  const out = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const first = i % 2 === 0 ? numberParts(tokens[i], dict) : null;
+    if (!first) {
+      out.push(tokens[i]);
+      i++;
+      continue;
+    }
+
+    const words = first.parts.slice();
+    let punct = first.punct;
+    let j = i + 1;
+    while (!punct && j < tokens.length) {
+      const last = words[words.length - 1];
+      const next = numberParts(tokens[j + 1], dict);
+      if (next && canFollow(last, next.parts[0], dict)) {
+        words.push(...next.parts);
+        punct = next.punct;
+        j += 2;
+        continue;
+      }
+      const after = dict.joiners.includes(foldText(tokens[j + 1] || "")) ? numberParts(tokens[j + 3], dict) : null;
+      if (after && canJoin(last, after.parts[0], dict)) {
+        words.push(...after.parts);
+        punct = after.punct;
+        j += 4;
+        continue;
+      }
+      break;
+    }
+
+    const value = wordsToNumber(words, dict);
+    if (words.length === 1 && value < 10) {
+      out.push(tokens[i]);
+      i++;
+      continue;
+    }
+    out.push(String(value) + punct);
+    i = j;
+  }
+  return out.join("");
+}
+
+// ─── maiúsculas e pontuação ─────────────────────────────────────────
+
+export function capitalizeSentences(text) {
+  let out = String(text || "").trim();
+  if (!out) return out;
+
+  out = out.replace(/(^|[.!?…]\s+)(\p{Ll})/gu, function(m, pre, ch) { return pre + ch.toUpperCase(); });
+  if (/[\p{L}\p{N}]$/u.test(out)) out += ".";
+  return out;
+}
+
+// ─── palavrões ──────────────────────────────────────────────────────
+
+const PROFANITY = {
+  pt: ["porra", "caralho", "merda", "puta", "putas", "puto", "foda", "fodase", "foder", "fodido", "cacete",
+    "buceta", "cu", "arrombado", "desgraçado", "babaca", "otario", "filho da puta"],
+  en: ["fuck", "fucking", "fucked", "shit", "shitty", "bitch", "asshole", "bastard", "dick", "cunt",
+    "motherfucker", "bullshit", "damn"],
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function maskWord(word) {
+  return word.length <= 1 ? "*" : word[0] + "*".repeat(word.length - 1);
+}
+
+export function maskProfanity(text, language, extra) {
+  const list = (PROFANITY[baseLanguage(language)] || []).concat(extra || []).map(foldText).filter(Boolean);
+  if (!list.length || !text) return text;
+
+  // compara sem acento/caixa, preservando o texto original
+  const words = new Set(list.filter(function(w) { return !w.includes(" "); }));
+  const phrases = list.filter(function(w) { return w.includes(" "); });
+
+  // expressões primeiro: depois do passo por palavra elas já não casariam
+  let out = String(text);
+  for (const phrase of phrases) {
+    const pattern = phrase.split(" ").map(escapeRegExp).join("\\s+");
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, "giu");
+    out = out.replace(re, function(m) { return m.replace(/[\p{L}\p{N}]+/gu, maskWord); });
+  }
+
+  return out.replace(/[\p{L}\p{N}]+/gu, function(w) {
+    return words.has(foldText(w)) ? maskWord(w) : w;
+  });
+}
+
+// ─── pipeline ───────────────────────────────────────────────────────
+
+// Passos disponíveis, na ordem padrão
+export const PIPELINE_STEPS = [
+  { id: "rules", title: "Regras de localizar/substituir (regex)" },
+  { id: "numbers", title: "Números por extenso → algarismos" },
+  { id: "capitalize", title: "Maiúsculas e pontuação final" },
+  { id: "profanity", title: "Mascarar palavrões" },
+];
+
+export function defaultPipeline() {
+  return {
+    steps: PIPELINE_STEPS.map(function(s) { return { id: s.id, enabled: false }; }),
+    rules: [],
+    profanity: [],
+  };
+}
+
+// Mantém a ordem salva, descarta passos desconhecidos e acrescenta os novos
+export function normalizePipeline(raw) {
+  const cfg = raw || {};
+  const known = new Set(PIPELINE_STEPS.map(function(s) { return s.id; }));
+  const seen = new Set();
+  const steps = [];
+
+  for (const s of Array.isArray(cfg.steps) ? cfg.steps : []) {
+    if (!s || !known.has(s.id) || seen.has(s.id)) continue;
+    seen.add(s.id);
+    steps.push({ id: s.id, enabled: !!s.enabled });
+  }
+  for (const s of PIPELINE_STEPS) {
+    if (!seen.has(s.id)) steps.push({ id: s.id, enabled: false });
+  }
+
+  const rules = (Array.isArray(cfg.rules) ? cfg.rules : [])
+    .filter(function(r) { return r && typeof r.find === "string"; })
+    .map(function(r) { return { find: r.find, replace: String(r.replace || ""), flags: r.flags == null ? "i" : String(r.flags) }; });
+
+  const profanity = (Array.isArray(cfg.profanity) ? cfg.profanity : [])
+    .map(function(w) { return String(w || "").trim(); })
+    .filter(Boolean);
+
+  return { steps, rules, profanity };
+}
+
+// Compila a configuração; devolve run(text, { language }) -> text
+export function createPipeline(config) {
+  const cfg = normalizePipeline(config);
+  const rules = compileRules(cfg.rules);
+
+  const impl = {
+    rules: function(text) {
+      let out = text;
+      for (const r of rules) out = out.replace(r.re, r.replace);
+      return out;
+    },
+    numbers: function(text, ctx) { return normalizeNumbers(text, ctx.language); },
+    capitalize: function(text) { return capitalizeSentences(text); },
+    profanity: function(text, ctx) { return maskProfanity(text, ctx.language, cfg.profanity); },
+  };
+
+  const active = cfg.steps.filter(function(s) { return s.enabled; }).map(function(s) { return impl[s.id]; });
+
+  return function run(text, ctx) {
+    let out = String(text || "");
+    for (const step of active) out = step(out, ctx || {});
+    return out.replace(/\s{2,}/g, " ").trim();
+  };
+}
@@ -0,0 +1,38 @@
+// src/lib/sanitize.js
+// Texto de transcrição é sempre texto puro. Tudo que vem de motor, banco,
+// arquivo importado ou backup passa por aqui antes de virar segmento ou
+// metadado de sessão; a UI renderiza só com interpolação (nunca v-html).
+//
+// Marcação não é conteúdo válido: tags são removidas (com o conteúdo de
+// <script>/<style>), mas "<" solto em texto comum ("3 < 5", "a<b") é mantido.
+// Só conta como tag o trecho fechado por ">" na mesma linha; um "<" sem
+// fechamento fica como texto (a UI não interpreta HTML).
+
+// blocos cujo conteúdo também é descartado
+const DROP_BLOCKS = /<(script|style|iframe|object|embed|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// tag, comentário ou declaração: "<" seguido de letra, "/", "!" ou "?",
+// até o ">" na mesma linha
+const TAGS = /<[a-zA-Z!/?][^>\n]*>/g;
+
+// controles C0/C1 (exceto \t e \n) e marcas de direção bidi
+const CONTROL = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g;
+
+export function sanitizeText(str) {
+  if (str == null) return "";
+  let out = String(str).replace(/\r\n?/g, "\n");
+
+  // repete até estabilizar: "<scr<script>ipt>" não sobrevive a uma passada
+  let prev = null;
+  while (prev !== out) {
+    prev = out;
+    out = out.replace(DROP_BLOCKS, "").replace(TAGS, "");
+  }
+
+  return out.replace(CONTROL, "");
+}
+
+// Títulos, etiquetas e afins: uma linha, tamanho limitado
+export function sanitizeLabel(str, maxLength = 200) {
+  return sanitizeText(str).replace(/\s+/g, " ").trim().slice(0, maxLength);
+}
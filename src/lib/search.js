@@ -0,0 +1,83 @@
+// src/lib/search.js
+// Busca textual sem diferenciar maiúsculas nem acentos ("sessao" acha "Sessão").
+// Funções puras, usadas pela persistência (busca) e pela UI (destaque).
+
+const MARKS = /[\u0300-\u036f]/g;
+
+// Normaliza caractere a caractere, guardando o índice original de cada
+// caractere normalizado para poder destacar o trecho no texto original.
+function foldWithMap(str) {
+  const src = String(str || "");
+  let out = "";
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const folded = src[i].normalize("NFD").replace(MARKS, "").toLowerCase();
+    for (let k = 0; k < folded.length; k++) {
+      out += folded[k];
+      map.push(i);
+    }
+  }
+  return { out, map };
+}
+
+export function foldText(str) {
+  return String(str || "").normalize("NFD").replace(MARKS, "").toLowerCase();
+}
+
+// Intervalos [início, fim) de cada ocorrência de query em text
+export function findMatches(text, query) {
+  const q = foldText(query).trim();
+  if (!q) return [];
+
+  const { out, map } = foldWithMap(text);
+  const ranges = [];
+  let from = 0;
+  for (;;) {
+    const idx = out.indexOf(q, from);
+    if (idx < 0) break;
+    const start = map[idx];
+    const end = map[idx + q.length - 1] + 1;
+    ranges.push([start, end]);
+    from = idx + q.length;
+  }
+  return ranges;
+}
+
+// [{ text, match }] para renderizar com <mark> sem v-html
+export function splitHighlight(text, query) {
+  const src = String(text || "");
+  const ranges = findMatches(src, query);
+  if (!ranges.length) return [{ text: src, match: false }];
+
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (start > pos) parts.push({ text: src.slice(pos, start), match: false });
+    parts.push({ text: src.slice(start, end), match: true });
+    pos = end;
+  }
+  if (pos < src.length) parts.push({ text: src.slice(pos), match: false });
+  return parts;
+}
+
+// Trecho curto em volta da primeira ocorrência
+export function makeSnippet(text, query, radius = 40) {
+  const src = String(text || "");
+  const ranges = findMatches(src, query);
+  if (!ranges.length) return src.slice(0, radius * 2);
+
+  const [start, end] = ranges[0];
+  const a = Math.max(0, start - radius);
+  const b = Math.min(src.length, end + radius);
+  return (a > 0 ? "…" : "") + src.slice(a, b) + (b < src.length ? "…" : "");
+}
+
+export function countWords(segments) {
+  let n = 0;
+  for (const s of segments || []) {
+    if (s.kind) continue; // marcadores não são fala
+    const words = String(s.text || "").trim().split(/\s+/);
+    if (words[0]) n += words.length;
+  }
+  return n;
+}
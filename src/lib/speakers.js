@@ -0,0 +1,72 @@
+// src/lib/speakers.js
+// Falantes de uma sessão (entrevistas, reuniões). Funções puras.
+//
+// Falante: { id, name, color }   color é uma das SPEAKER_COLORS (hex)
+// Cada segmento guarda o id do falante em seg.speaker (ver transcriptStore.js).
+
+import { sanitizeLabel } from "./sanitize";
+
+export const MAX_SPEAKERS = 12;
+
+// paleta fixa: o nome nunca entra em estilo inline, só a cor validada
+export const SPEAKER_COLORS = [
+  "#2563eb", "#db2777", "#059669", "#d97706", "#7c3aed", "#dc2626",
+  "#0891b2", "#65a30d", "#9333ea", "#ea580c", "#0d9488", "#4b5563",
+];
+
+let speakerCounter = 0;
+
+export function newSpeakerId() {
+  speakerCounter++;
+  return `spk_${Date.now().toString(36)}_${speakerCounter.toString(36)}`;
+}
+
+export function normalizeSpeakers(list) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const id = sanitizeLabel(raw && raw.id, 80);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      name: sanitizeLabel(raw.name, 60) || `Falante ${out.length + 1}`,
+      color: SPEAKER_COLORS.includes(raw.color) ? raw.color : SPEAKER_COLORS[out.length % SPEAKER_COLORS.length],
+    });
+    if (out.length >= MAX_SPEAKERS) break;
+  }
+  return out;
+}
+
+// Próximo falante: "Falante N" com a primeira cor ainda livre
+export function createSpeaker(list) {
+  const used = new Set((list || []).map(function(s) { return s.color; }));
+  const color = SPEAKER_COLORS.find(function(c) { return !used.has(c); }) || SPEAKER_COLORS[(list || []).length % SPEAKER_COLORS.length];
+  return { id: newSpeakerId(), name: `Falante ${(list || []).length + 1}`, color };
+}
+
+// id -> falante, para renderização e exportação
+export function speakerIndex(list) {
+  return new Map((list || []).map(function(s) { return [s.id, s]; }));
+}
+
+export function speakerName(index, id) {
+  const s = id && index.get(id);
+  return s ? s.name : null;
+}
+
+// O segmento abre um turno quando o falante muda em relação ao anterior
+// (marcadores não contam como fala)
+export function speakerTurns(segments) {
+  const out = [];
+  let prev = null;
+  for (const s of segments || []) {
+    if (s.kind) {
+      out.push(false);
+      continue;
+    }
+    out.push(!!s.speaker && s.speaker !== prev);
+    prev = s.speaker || null;
+  }
+  return out;
+}
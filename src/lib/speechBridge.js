@@ -7,19 +7,29 @@
 // 4. Buffer de resultados pendentes
 // 5. Tratamento de visibilidade da página
 // 6. Reconexão resiliente a erros de rede
+// 7. Troca de idioma sem parar: a outra instância começa já com o novo
+//    idioma e só então a ativa é aposentada (stop entrega os resultados finais)
+//
+// Segue o contrato de motor descrito em engines.js.
+
+import { createEmitter } from "./emitter";
+import { formatMMSS, MAX_ALTERNATIVES } from "./transcriptStore";
+import { sanitizeText } from "./sanitize";
+import { normalizeLanguage } from "./languages";
+import { applyReplacements, toJSGF } from "./vocabulary";
+import { parseCommands } from "./voiceCommands";
 
 export function createSpeechBridge(opts) {
   const {
-    onBanner,
-    onStatus,
-    onTimer,
-    onTranscriptHtml,
-    onPartialText,
-    onDebug,
     getLanguage: getLanguageOpt,
-    persist,
+    getMaxAlternatives,
+    getVocabulary,
+    postProcess,
+    getCommandGrammar,
   } = opts || {};
 
+  const events = createEmitter();
+
   // ═══════════════════════════════════════════════════════════════════
   // CONFIGURAÇÕES DE ROBUSTEZ
   // ═══════════════════════════════════════════════════════════════════
@@ -55,10 +65,9 @@ export function createSpeechBridge(opts) {
   let activeRecognition = "primary"; // "primary" | "backup"
 
   // Estado de transcrição
-  let transcribedAll = "";
-  let nLines = 0;
   let currentPartial = "";
-  let pendingFinals = []; // Buffer de resultados finais pendentes
+  let pendingFinals = []; // Buffer de resultados finais pendentes ({ text, confidence, alternatives })
+  let utteranceStartMs = null; // Início (relativo a startTime) da fala em andamento
 
   // Estado de gravação
   let isRecording = false;
@@ -77,64 +86,39 @@ export function createSpeechBridge(opts) {
   // Debounce para resultados
   let resultDebounceTimer = null;
 
+  // Troca de idioma em andamento ({ from, to, retiring }); concluída quando a
+  // instância antiga (retiring) termina com a nova já ouvindo
+  let languageSwitch = null;
+
   // ═══════════════════════════════════════════════════════════════════
   // UTILIDADES
   // ═══════════════════════════════════════════════════════════════════
 
   function dbg(msg) {
     const timestamp = new Date().toISOString().split("T")[1].slice(0, 12);
-    try {
-      onDebug && onDebug(`[${timestamp}] ${msg}`);
-    } catch (e) {}
+    events.emit("debug", `[${timestamp}] ${msg}`);
     // Também loga no console para debug
     // console.log(`[SpeechBridge ${timestamp}] ${msg}`);
   }
 
   function setBanner(msg) {
-    try {
-      onBanner && onBanner(msg);
-    } catch (e) {}
+    events.emit("status", { isRunning: isRecording, message: msg });
   }
 
-  function formatMMSS(ms) {
-    const s0 = Math.max(0, Math.floor(ms / 1000));
-    const m = Math.floor(s0 / 60);
-    const s = s0 % 60;
-    return String(m).padStart(2, "0") + "m " + String(s).padStart(2, "0") + "s";
+  function emitError(code, msg) {
+    events.emit("error", { code, message: msg });
   }
 
   function emitStatus() {
-    try {
-      onStatus && onStatus({ isRunning: isRecording });
-    } catch (e) {}
+    events.emit("status", { isRunning: isRecording });
   }
 
   function emitTimer() {
-    try {
-      onTimer && onTimer(isRecording ? formatMMSS(Date.now() - startTime) : "00m 00s");
-    } catch (e) {}
-  }
-
-  function emitTranscript() {
-    try {
-      onTranscriptHtml && onTranscriptHtml(
-        transcribedAll && transcribedAll.length 
-          ? transcribedAll 
-          : "[A transcrição vai aparecer aqui]"
-      );
-    } catch (e) {}
+    events.emit("timer", isRecording ? formatMMSS(Date.now() - startTime) : "00m 00s");
   }
 
   function emitPartial() {
-    try {
-      onPartialText && onPartialText(currentPartial);
-    } catch (e) {}
-  }
-
-  function scheduleAutosave() {
-    try {
-      persist && persist.scheduleAutosave && persist.scheduleAutosave();
-    } catch (e) {}
+    events.emit("partial", { text: sanitizeText(currentPartial) });
   }
 
   function touchWatchdog() {
@@ -154,35 +138,136 @@ export function createSpeechBridge(opts) {
   // PROCESSAMENTO DE RESULTADOS (com buffer)
   // ═══════════════════════════════════════════════════════════════════
 
+  function elapsedMs() {
+    return startTime ? Date.now() - startTime : 0;
+  }
+
+  function maxAlternatives() {
+    const n = Math.round(Number(getMaxAlternatives && getMaxAlternatives()) || 1);
+    return Math.min(Math.max(n, 1), MAX_ALTERNATIVES + 1);
+  }
+
+  function vocabulary() {
+    return (getVocabulary && getVocabulary()) || { terms: [], replacements: [] };
+  }
+
+  // Dicas de vocabulário onde o navegador suporta: "phrases" (biasing
+  // contextual, Chrome recente) ou a SpeechGrammarList clássica
+  function applyPhraseHints(rec, terms) {
+    const Phrase = window.SpeechRecognitionPhrase;
+    if (Phrase && "phrases" in rec) {
+      try {
+        rec.phrases = terms.map((t) => new Phrase(t, 5.0));
+        return "phrases";
+      } catch (e) {}
+    }
+
+    const GrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+    const jsgf = toJSGF(terms);
+    if (GrammarList && jsgf) {
+      try {
+        const list = new GrammarList();
+        list.addFromString(jsgf, 1);
+        rec.grammars = list;
+        return "grammars";
+      } catch (e) {}
+    }
+    return null;
+  }
+
+  // Aplicado antes de cada start(): vale a configuração atual
+  function configure(rec) {
+    rec.maxAlternatives = maxAlternatives();
+
+    const terms = vocabulary().terms;
+    if (terms.length) {
+      const mode = applyPhraseHints(rec, terms);
+      dbg(`[${rec._label}] Vocabulário: ${terms.length} termo(s) via ${mode || "nenhum suporte do navegador"}`);
+    }
+  }
+
+  function average(list) {
+    return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+  }
+
+  // Alternativas do segmento combinado: a k-ésima hipótese de cada resultado
+  // (ou a principal, quando aquele resultado tem menos hipóteses)
+  function combineAlternatives(finals) {
+    const count = Math.max(0, ...finals.map((p) => p.alternatives.length));
+    const out = [];
+    for (let k = 0; k < count; k++) {
+      const parts = finals.map((p) => p.alternatives[k] || { text: p.text, confidence: p.confidence });
+      const text = parts.map((a) => a.text).join(" ").trim();
+      const scores = parts.map((a) => a.confidence).filter((c) => Number.isFinite(c) && c > 0);
+      if (text) out.push({ text, confidence: average(scores) });
+    }
+    return out.length ? out : null;
+  }
+
+  // Pipeline de pós-processamento (postprocess.js), aplicado ao segmento combinado
+  function finish(text) {
+    return postProcess ? postProcess(text) : text;
+  }
+
   function processBufferedResults() {
     if (pendingFinals.length === 0) return;
 
     // Concatena todos os resultados pendentes
-    const combined = pendingFinals.join(" ").trim();
+    const raw = pendingFinals.map((p) => p.text).join(" ").trim();
+    const scores = pendingFinals.map((p) => p.confidence).filter((c) => Number.isFinite(c) && c > 0);
+    const alternatives = combineAlternatives(pendingFinals);
     pendingFinals = [];
 
-    if (combined) {
-      transcribedAll += combined + "<br>";
-      nLines++;
-      
-      dbg(`Nova linha transcrita: "${combined.substring(0, 50)}${combined.length > 50 ? '...' : ''}"`);
-      
-      // Mantém últimas 50 linhas
-      if (nLines > 50) {
-        const lines = transcribedAll.split("<br>");
-        transcribedAll = lines.slice(-50).join("<br>");
-        nLines = 50;
+    const end = elapsedMs();
+    const start = utteranceStartMs != null ? utteranceStartMs : end;
+    utteranceStartMs = null;
+
+    // Comandos de voz: o texto entre comandos vira segmentos separados e cada
+    // comando é emitido na ordem em que foi falado
+    const grammar = getCommandGrammar ? getCommandGrammar(getLanguage()) : null;
+    const parts = grammar ? parseCommands(raw, grammar) : [{ type: "text", text: raw }];
+    const hasCommand = parts.some((p) => p.type === "command");
+    const textLength = parts.reduce((n, p) => n + (p.type === "text" ? p.text.length : 0), 0) || 1;
+
+    let at = start;
+    let stopRequested = false;
+    for (const part of parts) {
+      if (part.type === "command") {
+        dbg(`Comando de voz: ${part.id}`);
+        events.emit("command", { id: part.id, at });
+        if (part.id === "stop") stopRequested = true;
+        continue;
       }
 
-      emitTranscript();
-      scheduleAutosave();
+      // tempos proporcionais ao tamanho do trecho dentro do resultado
+      const partEnd = hasCommand ? at + Math.round(((end - start) * part.text.length) / textLength) : end;
+      const text = finish(part.text);
+      if (text) {
+        dbg(`Nova linha transcrita: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+        events.emit("segment", {
+          text,
+          start: at,
+          end: partEnd,
+          confidence: average(scores),
+          // as hipóteses cobrem o resultado inteiro, não o trecho entre comandos
+          alternatives: hasCommand || !alternatives ? null : alternatives.map((a) => ({ text: finish(a.text), confidence: a.confidence })),
+          engine: "webspeech",
+        });
+      }
+      at = partEnd;
     }
+
+    if (stopRequested) stop();
   }
 
-  function addFinalResult(text) {
-    if (!text || !text.trim()) return;
-    
-    pendingFinals.push(text.trim());
+  function addFinalResult(text, confidence, alternatives = []) {
+    // dicionário de substituições antes de o texto virar segmento
+    const { replacements } = vocabulary();
+    const clean = applyReplacements(sanitizeText(text).trim(), replacements);
+    if (!clean) return;
+
+    const alts = alternatives.map((a) => ({ text: applyReplacements(a.text, replacements), confidence: a.confidence }));
+    pendingFinals.push({ text: clean, confidence, alternatives: alts });
     
     // Debounce para agrupar resultados que chegam em rajada
     if (resultDebounceTimer) clearTimeout(resultDebounceTimer);
@@ -208,10 +293,9 @@ export function createSpeechBridge(opts) {
     // Configurações otimizadas para continuidade
     rec.continuous = true;
     rec.interimResults = true;
-    rec.maxAlternatives = 1;
-    
-    const lang = (getLanguageOpt && getLanguageOpt()) || "pt-BR";
-    rec.lang = lang === "pt" ? "pt-BR" : "en-US";
+    // maxAlternatives e vocabulário: ver configure(), chamado antes de cada start()
+
+    rec.lang = normalizeLanguage(getLanguageOpt && getLanguageOpt());
 
     // Marca para identificação
     rec._label = label;
@@ -231,6 +315,13 @@ export function createSpeechBridge(opts) {
         isRecording = true;
         emitStatus();
       }
+
+      if (languageSwitch && rec.lang === languageSwitch.to) {
+        // a substituta já ouve: a antiga para e a troca termina no onend dela
+        const old = languageSwitch.retiring;
+        if (old && old !== rec && old._isStarted) retireInstance(old);
+        else completeLanguageSwitch();
+      }
     };
 
     rec.onaudiostart = function() {
@@ -267,6 +358,28 @@ export function createSpeechBridge(opts) {
       dbg(`[${label}] Reconhecimento finalizado`);
       rec._isStarted = false;
       touchWatchdog();
+
+      // Aposentada pela troca de idioma: conclui a troca se a substituta já
+      // ouve; senão a substituta é iniciada agora
+      if (rec._retiring) {
+        rec._retiring = false;
+        if (languageSwitch) languageSwitch.retiring = null;
+        const active = activeRecognition === "backup" ? recognitionBackup : recognition;
+        if (active && active !== rec && active._isStarted) {
+          if (languageSwitch) completeLanguageSwitch();
+        } else if (shouldBeRecording) {
+          performDualRestart(label);
+        }
+        return;
+      }
+
+      // A substituta caiu antes de a antiga parar: a antiga é aposentada e a
+      // substituta volta no onend dela
+      const retiring = languageSwitch && languageSwitch.retiring;
+      if (shouldBeRecording && retiring && retiring !== rec && retiring._isStarted) {
+        retireInstance(retiring);
+        return;
+      }
       
       // Se deveria estar gravando, tenta reiniciar
       if (shouldBeRecording && !isRestarting) {
@@ -296,31 +409,31 @@ export function createSpeechBridge(opts) {
 
         case "audio-capture":
           consecutiveErrors++;
-          setBanner("Erro ao capturar áudio. Verifique as permissões do microfone.");
+          emitError(event.error, "Erro ao capturar áudio. Verifique as permissões do microfone.");
           if (consecutiveErrors >= CONFIG.MAX_CONSECUTIVE_ERRORS) {
             handleTooManyErrors();
           }
           break;
 
         case "not-allowed":
-          setBanner("Permissão de microfone negada. Por favor, autorize o acesso.");
           shouldBeRecording = false;
           isRecording = false;
           emitStatus();
+          emitError(event.error, "Permissão de microfone negada. Por favor, autorize o acesso.");
           return;
 
         case "network":
           consecutiveErrors++;
           dbg(`[${label}] Erro de rede - tentando reconectar...`);
-          setBanner("Erro de rede. Tentando reconectar...");
+          emitError(event.error, "Erro de rede. Tentando reconectar...");
           incrementRetryDelay();
           break;
 
         case "service-not-allowed":
-          setBanner("Serviço de reconhecimento não disponível.");
           shouldBeRecording = false;
           isRecording = false;
           emitStatus();
+          emitError(event.error, "Serviço de reconhecimento não disponível.");
           return;
 
         default:
@@ -342,12 +455,19 @@ export function createSpeechBridge(opts) {
       let interimTranscript = "";
 
       // Processa todos os resultados
+      if (utteranceStartMs == null) utteranceStartMs = elapsedMs();
+
       for (let i = event.resultIndex; i < event.results.length; i++) {
         const result = event.results[i];
         const transcript = result[0].transcript;
         
         if (result.isFinal) {
-          addFinalResult(transcript);
+          const alternatives = [];
+          for (let k = 1; k < result.length; k++) {
+            const text = sanitizeText(result[k].transcript).trim();
+            if (text) alternatives.push({ text, confidence: result[k].confidence });
+          }
+          addFinalResult(transcript, result[0].confidence, alternatives);
           currentPartial = "";
         } else {
           interimTranscript += transcript;
@@ -409,6 +529,7 @@ export function createSpeechBridge(opts) {
       if (!recognition) {
         recognition = createRecognitionInstance("primary");
       }
+      configure(recognition);
       recognition.start();
     } catch (e) {
       dbg(`Erro ao reiniciar: ${e}`);
@@ -448,6 +569,7 @@ export function createSpeechBridge(opts) {
     }
     
     try {
+      configure(target);
       target.start();
       activeRecognition = targetLabel;
       dbg(`${targetLabel} ativado com sucesso`);
@@ -464,6 +586,74 @@ export function createSpeechBridge(opts) {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // TROCA DE IDIOMA DURANTE A GRAVAÇÃO
+  // ═══════════════════════════════════════════════════════════════════
+
+  function switchLanguageLive(newLang) {
+    const from = activeRecognition === "backup" ? recognitionBackup : recognition;
+    const fromLang = languageSwitch ? languageSwitch.from : (from ? from.lang : newLang);
+
+    if (!recognitionBackup) recognitionBackup = createRecognitionInstance("backup");
+    if (recognition) recognition.lang = newLang;
+    if (recognitionBackup) recognitionBackup.lang = newLang;
+
+    languageSwitch = { from: fromLang, to: newLang, retiring: null };
+
+    // sem instância rodando (reinício pendente): o próximo onstart conclui a troca
+    if (!from || !from._isStarted) return;
+
+    const fromLabel = activeRecognition;
+    const toLabel = fromLabel === "backup" ? "primary" : "backup";
+    const to = toLabel === "backup" ? recognitionBackup : recognition;
+
+    // a substituta começa antes de a antiga parar: sem lacuna no áudio
+    from._retiring = true;
+    languageSwitch.retiring = from;
+    if (to && !to._isStarted) {
+      try {
+        activeRecognition = toLabel;
+        configure(to);
+        to.start();
+        return;
+      } catch (e) {
+        activeRecognition = fromLabel;
+        dbg(`Erro ao ativar ${toLabel} no novo idioma: ${e}`);
+      }
+    }
+
+    // substituta indisponível: a antiga para e a outra assume no onend dela
+    retireInstance(from);
+  }
+
+  // stop() entrega os resultados finais; o onend conclui a troca
+  function retireInstance(rec) {
+    try {
+      rec.stop();
+    } catch (e) {
+      rec._retiring = false;
+      if (languageSwitch) languageSwitch.retiring = null;
+      performDualRestart(rec._label);
+    }
+  }
+
+  function completeLanguageSwitch() {
+    const { from, to } = languageSwitch;
+    languageSwitch = null;
+    if (from === to) return;
+
+    // o que a instância antiga entregou fica antes do marcador
+    if (resultDebounceTimer) {
+      clearTimeout(resultDebounceTimer);
+      resultDebounceTimer = null;
+    }
+    processBufferedResults();
+
+    events.emit("language", { from, to, at: elapsedMs() });
+    dbg(`Idioma trocado durante a gravação: ${from} -> ${to}`);
+    setBanner(`Idioma alterado para ${to} sem interromper a gravação.`);
+  }
+
   function handleTooManyErrors() {
     dbg(`Muitos erros consecutivos (${consecutiveErrors}). Pausando por ${CONFIG.ERROR_COOLDOWN_MS}ms...`);
     setBanner(`Muitos erros. Pausando brevemente e tentando novamente...`);
@@ -554,7 +744,7 @@ export function createSpeechBridge(opts) {
     
     if (!SpeechRecognition) {
       dbg("AVISO: Web Speech API não disponível neste navegador");
-      setBanner("Seu navegador não suporta Web Speech API. Use Chrome, Edge ou Safari.");
+      emitError("unsupported", "Seu navegador não suporta Web Speech API. Use Chrome, Edge ou Safari.");
       return false;
     }
 
@@ -564,7 +754,6 @@ export function createSpeechBridge(opts) {
     // Listener de visibilidade
     document.addEventListener("visibilitychange", handleVisibilityChange);
     
-    emitTranscript();
     emitStatus();
     emitTimer();
     
@@ -580,7 +769,7 @@ export function createSpeechBridge(opts) {
     // Verifica suporte
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
-      setBanner("Web Speech API não suportada.");
+      emitError("unsupported", "Web Speech API não suportada.");
       return false;
     }
 
@@ -590,7 +779,7 @@ export function createSpeechBridge(opts) {
     }
     
     if (!recognition) {
-      setBanner("Erro ao criar reconhecimento de voz.");
+      emitError("create-failed", "Erro ao criar reconhecimento de voz.");
       return false;
     }
 
@@ -602,7 +791,9 @@ export function createSpeechBridge(opts) {
     shouldBeRecording = true;
     isRecording = true;
     startTime = Date.now();
+    utteranceStartMs = null;
     activeRecognition = "primary";
+    languageSwitch = null;
     
     // Inicia timer de UI
     if (timerInterval) clearInterval(timerInterval);
@@ -617,17 +808,16 @@ export function createSpeechBridge(opts) {
     resetRetryState();
 
     try {
+      configure(recognition);
       recognition.start();
       setBanner("Gravação iniciada. Fale no microfone.");
-      emitStatus();
-      scheduleAutosave();
       return true;
     } catch (e) {
       dbg(`Erro ao iniciar: ${e}`);
-      setBanner("Erro ao iniciar gravação.");
       shouldBeRecording = false;
       isRecording = false;
       emitStatus();
+      emitError("start-failed", "Erro ao iniciar gravação.");
       return false;
     }
   }
@@ -639,6 +829,7 @@ export function createSpeechBridge(opts) {
     
     shouldBeRecording = false;
     isRecording = false;
+    languageSwitch = null;
     
     // Cancela timeouts pendentes
     if (restartTimeout) {
@@ -674,48 +865,34 @@ export function createSpeechBridge(opts) {
 
     currentPartial = "";
     emitPartial();
-    emitStatus();
     emitTimer();
-    scheduleAutosave();
     
     setBanner("Gravação parada.");
   }
 
+  // Descarta o que ainda não virou segmento (o store é limpo por quem o possui)
   function clearTranscript() {
-    transcribedAll = "";
-    nLines = 0;
     currentPartial = "";
     pendingFinals = [];
+    utteranceStartMs = null;
     emitPartial();
-    emitTranscript();
-    scheduleAutosave();
-  }
-
-  function setTranscriptHtml(html) {
-    transcribedAll = html || "";
-  }
-
-  function getTranscriptHtml() {
-    return transcribedAll;
-  }
-
-  function getNLines() {
-    return nLines;
-  }
-
-  function setNLines(v) {
-    const n = Number(v);
-    if (Number.isFinite(n) && n >= 0) nLines = n;
   }
 
   function getLanguage() {
     if (recognition) return recognition.lang;
-    return (getLanguageOpt && getLanguageOpt()) || "pt-BR";
+    return normalizeLanguage(getLanguageOpt && getLanguageOpt());
   }
 
   function setLanguage(lang) {
-    const newLang = lang === "pt" ? "pt-BR" : "en-US";
-    
+    const newLang = normalizeLanguage(lang);
+    const active = activeRecognition === "backup" ? recognitionBackup : recognition;
+
+    if (shouldBeRecording && CONFIG.USE_DUAL_RECOGNITION && active && active.lang !== newLang) {
+      switchLanguageLive(newLang);
+      dbg(`Trocando idioma durante a gravação para: ${newLang}`);
+      return;
+    }
+
     if (recognition) recognition.lang = newLang;
     if (recognitionBackup) recognitionBackup.lang = newLang;
     
@@ -728,6 +905,7 @@ export function createSpeechBridge(opts) {
     document.removeEventListener("visibilitychange", handleVisibilityChange);
     recognition = null;
     recognitionBackup = null;
+    events.clear();
   }
 
   return {
@@ -735,12 +913,10 @@ export function createSpeechBridge(opts) {
     start,
     stop,
     clearTranscript,
-    setTranscriptHtml,
-    getTranscriptHtml,
-    getNLines,
-    setNLines,
     getLanguage,
     setLanguage,
     destroy,
+    on: events.on,
+    off: events.off,
   };
 }
\ No newline at end of file
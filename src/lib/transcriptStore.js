@@ -0,0 +1,389 @@
+// src/lib/transcriptStore.js
+// Estado de transcrição compartilhado entre os motores (um único store por app).
+//
+// A transcrição é uma lista de segmentos, sem limite de tamanho; a UI e as
+// exportações são derivadas dela.
+// Segmento:
+//   { id, text, start, end, engine, language, confidence, kind, alternatives, speaker }
+//   start/end em ms, relativos ao início da gravação da sessão (null se desconhecido)
+//   confidence em [0, 1] ou null quando o motor não informa
+//   kind: null para fala; "language" para o marcador de troca de idioma
+//   alternatives: outras hipóteses do motor [{ text, confidence }] ou null
+//   speaker: id do falante da sessão (ver speakers.js) ou null
+//
+// Edições (texto, dividir, juntar, apagar, falante) entram num histórico desfazer/refazer.
+// Cada entrada troca um trecho contíguo de segmentos (before -> after) e é
+// localizada pelo id do primeiro segmento, não pelo índice: o motor continua
+// anexando no fim durante a gravação sem invalidar o histórico.
+
+import { sanitizeText, sanitizeLabel } from "./sanitize";
+
+// máximo de alternativas guardadas por segmento
+export const MAX_ALTERNATIVES = 5;
+
+// tipos de segmento que não são fala (marcadores)
+export const SEGMENT_KINDS = ["language"];
+
+export const TRANSCRIPT_PLACEHOLDER = "[A transcrição vai aparecer aqui]";
+
+export function formatMMSS(ms) {
+  const s0 = Math.max(0, Math.floor(ms / 1000));
+  const m = Math.floor(s0 / 60);
+  const s = s0 % 60;
+  return String(m).padStart(2, "0") + "m " + String(s).padStart(2, "0") + "s";
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+// Normaliza um segmento vindo de motor, banco ou arquivo (texto sanitizado)
+export function normalizeSegment(raw, fallbackId) {
+  const seg = raw || {};
+  return {
+    id: (typeof seg.id === "string" && sanitizeLabel(seg.id, 80)) || fallbackId || newSegmentId(),
+    text: sanitizeText(seg.text).trim(),
+    start: numOrNull(seg.start),
+    end: numOrNull(seg.end),
+    engine: sanitizeLabel(seg.engine, 40) || null,
+    language: sanitizeLabel(seg.language, 40) || null,
+    confidence: numOrNull(seg.confidence),
+    kind: SEGMENT_KINDS.includes(seg.kind) ? seg.kind : null,
+    alternatives: normalizeAlternatives(seg.alternatives),
+    speaker: sanitizeLabel(seg.speaker, 80) || null,
+  };
+}
+
+function normalizeAlternatives(list) {
+  if (!Array.isArray(list)) return null;
+  const out = list
+    .map(function(a) { return { text: sanitizeText(a && a.text).trim(), confidence: numOrNull(a && a.confidence) }; })
+    .filter(function(a) { return a.text; })
+    .slice(0, MAX_ALTERNATIVES);
+  return out.length ? out : null;
+}
+
+export function isMarker(seg) {
+  return !!(seg && seg.kind);
+}
+
+let segCounter = 0;
+
+export function newSegmentId() {
+  segCounter++;
+  return `seg_${Date.now().toString(36)}_${segCounter.toString(36)}`;
+}
+
+export function segmentsToText(segments) {
+  return (segments || []).map(function(s) { return s.kind ? `[${s.text}]` : s.text; }).join("\n");
+}
+
+// entradas mantidas no histórico de edição (por sessão)
+export const HISTORY_LIMIT = 200;
+
+function cloneSegment(seg) {
+  return Object.assign({}, seg);
+}
+
+function meanConfidence(a, b) {
+  const vals = [a.confidence, b.confidence].filter(function(v) { return v != null; });
+  if (!vals.length) return null;
+  return vals.reduce(function(x, y) { return x + y; }, 0) / vals.length;
+}
+
+// Normaliza uma entrada de histórico vinda do banco
+function normalizeEntry(raw) {
+  if (!raw || !Array.isArray(raw.before) || !Array.isArray(raw.after)) return null;
+  return {
+    type: String(raw.type || "edit"),
+    at: raw.at || null,
+    before: raw.before.map(function(s) { return normalizeSegment(s); }),
+    after: raw.after.map(function(s) { return normalizeSegment(s); }),
+  };
+}
+
+export function createTranscriptStore(opts) {
+  const {
+    getLanguage,
+    getSpeaker,
+    onChange,
+  } = opts || {};
+
+  let segments = [];
+
+  // menor índice alterado desde o último takeDirtyFrom (Infinity = nada)
+  let dirtyFrom = Infinity;
+
+  // deslocamento (ms) da gravação corrente na linha do tempo da sessão
+  let recordingOffset = 0;
+
+  // histórico de edições; revision muda a cada alteração (autosave)
+  let undoStack = [];
+  let redoStack = [];
+  let historyRevision = 0;
+
+  function emitChange() {
+    try {
+      onChange && onChange(segments);
+    } catch (e) {}
+  }
+
+  function markDirty(index) {
+    if (index < dirtyFrom) dirtyFrom = index;
+  }
+
+  // Usado pela persistência para gravar só o que mudou
+  function takeDirtyFrom() {
+    const from = dirtyFrom;
+    dirtyFrom = Infinity;
+    return from;
+  }
+
+  // Chamado quando uma nova gravação começa: os tempos do motor voltam a zero,
+  // então a nova gravação continua a linha do tempo após o último segmento.
+  function beginRecording() {
+    recordingOffset = getDuration();
+  }
+
+  // Onde a gravação corrente começou na linha do tempo da sessão
+  function getRecordingOffset() {
+    return recordingOffset;
+  }
+
+  function getDuration() {
+    let max = 0;
+    for (const s of segments) {
+      if (s.end != null && s.end > max) max = s.end;
+    }
+    return max;
+  }
+
+  function append(raw) {
+    const seg = normalizeSegment(raw);
+    if (!seg.text) return null;
+
+    if (seg.start != null) seg.start += recordingOffset;
+    if (seg.end != null) seg.end += recordingOffset;
+    if (!seg.language) seg.language = (getLanguage && getLanguage()) || null;
+    if (!seg.speaker && !seg.kind) seg.speaker = (getSpeaker && getSpeaker()) || null;
+
+    segments.push(seg);
+    markDirty(segments.length - 1);
+
+    emitChange();
+    return seg;
+  }
+
+  function clear() {
+    segments = [];
+    recordingOffset = 0;
+    undoStack = [];
+    redoStack = [];
+    historyRevision++;
+    markDirty(0);
+    emitChange();
+  }
+
+  function indexOfId(id) {
+    return segments.findIndex(function(s) { return s.id === id; });
+  }
+
+  // Troca os segmentos `from` (contíguos, a partir do primeiro id) por `to`.
+  // Retorna false se o trecho não existe mais como esperado.
+  function replaceRun(from, to) {
+    const index = from.length ? indexOfId(from[0].id) : -1;
+    if (index < 0) return false;
+    for (let k = 0; k < from.length; k++) {
+      if (!segments[index + k] || segments[index + k].id !== from[k].id) return false;
+    }
+    segments.splice(index, from.length, ...to.map(cloneSegment));
+    markDirty(index);
+    return true;
+  }
+
+  function commit(type, before, after) {
+    if (!replaceRun(before, after)) return false;
+    undoStack.push({ type, at: new Date().toISOString(), before, after });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.splice(0, undoStack.length - HISTORY_LIMIT);
+    redoStack = [];
+    historyRevision++;
+    emitChange();
+    return true;
+  }
+
+  function editText(id, text) {
+    const seg = segments[indexOfId(id)];
+    const value = String(text || "").trim();
+    if (!seg || value === seg.text) return false;
+    if (!value) return removeSegment(id);
+    return commit("edit", [cloneSegment(seg)], [Object.assign(cloneSegment(seg), { text: value })]);
+  }
+
+  // Divide o segmento na posição `at` do texto; os tempos são repartidos
+  // proporcionalmente ao número de caracteres.
+  function splitSegment(id, at) {
+    const seg = segments[indexOfId(id)];
+    if (!seg) return false;
+    const left = seg.text.slice(0, at).trim();
+    const right = seg.text.slice(at).trim();
+    if (!left || !right) return false;
+
+    let cut = null;
+    if (seg.start != null && seg.end != null) {
+      cut = Math.round(seg.start + (seg.end - seg.start) * (at / seg.text.length));
+    }
+    // as alternativas descrevem o segmento inteiro; não valem para as metades
+    const a = Object.assign(cloneSegment(seg), { text: left, end: cut != null ? cut : seg.end, alternatives: null });
+    const b = Object.assign(cloneSegment(seg), {
+      id: newSegmentId(),
+      text: right,
+      start: cut != null ? cut : seg.start,
+      alternatives: null,
+    });
+    return commit("split", [cloneSegment(seg)], [a, b]);
+  }
+
+  function mergeWithNext(id) {
+    const index = indexOfId(id);
+    const a = segments[index];
+    const b = segments[index + 1];
+    if (!a || !b) return false;
+
+    const merged = Object.assign(cloneSegment(a), {
+      text: `${a.text} ${b.text}`,
+      start: a.start != null ? a.start : b.start,
+      end: b.end != null ? b.end : a.end,
+      confidence: meanConfidence(a, b),
+      alternatives: null,
+    });
+    return commit("merge", [cloneSegment(a), cloneSegment(b)], [merged]);
+  }
+
+  // Troca o texto pela alternativa `index`; o texto atual vira alternativa
+  function swapAlternative(id, index) {
+    const seg = segments[indexOfId(id)];
+    const alt = seg && seg.alternatives && seg.alternatives[index];
+    if (!alt) return false;
+
+    const alternatives = seg.alternatives.slice();
+    alternatives[index] = { text: seg.text, confidence: seg.confidence };
+    const swapped = Object.assign(cloneSegment(seg), { text: alt.text, confidence: alt.confidence, alternatives });
+    return commit("swap", [cloneSegment(seg)], [swapped]);
+  }
+
+  // Atribui o segmento a outro falante (null = sem falante)
+  function setSpeaker(id, speaker) {
+    const seg = segments[indexOfId(id)];
+    const value = speaker || null;
+    if (!seg || seg.kind || seg.speaker === value) return false;
+    return commit("speaker", [cloneSegment(seg)], [Object.assign(cloneSegment(seg), { speaker: value })]);
+  }
+
+  // O vizinho entra no trecho trocado para servir de âncora ao desfazer
+  function removeSegment(id) {
+    const index = indexOfId(id);
+    const seg = segments[index];
+    if (!seg) return false;
+    const prev = segments[index - 1];
+    const next = segments[index + 1];
+    if (prev) return commit("delete", [cloneSegment(prev), cloneSegment(seg)], [cloneSegment(prev)]);
+    if (next) return commit("delete", [cloneSegment(seg), cloneSegment(next)], [cloneSegment(next)]);
+    return commit("delete", [cloneSegment(seg)], []);
+  }
+
+  function applyEntry(entry, reverse) {
+    const from = reverse ? entry.after : entry.before;
+    const to = reverse ? entry.before : entry.after;
+    if (from.length) return replaceRun(from, to);
+
+    // trecho vazio só acontece quando o segmento apagado era o único
+    segments.splice(0, 0, ...to.map(cloneSegment));
+    markDirty(0);
+    return true;
+  }
+
+  function undo() {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry || !applyEntry(entry, true)) return false;
+    redoStack.push(undoStack.pop());
+    historyRevision++;
+    emitChange();
+    return true;
+  }
+
+  function redo() {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry || !applyEntry(entry, false)) return false;
+    undoStack.push(redoStack.pop());
+    historyRevision++;
+    emitChange();
+    return true;
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  function getHistory() {
+    return { revision: historyRevision, undo: undoStack, redo: redoStack };
+  }
+
+  // setter de restauração, como setSegments (sem onChange)
+  function setHistory(h) {
+    const data = h || {};
+    undoStack = (Array.isArray(data.undo) ? data.undo : []).map(normalizeEntry).filter(Boolean);
+    redoStack = (Array.isArray(data.redo) ? data.redo : []).map(normalizeEntry).filter(Boolean);
+    historyRevision++;
+  }
+
+  function getSegments() {
+    return segments;
+  }
+
+  // setter de restauração não dispara onChange (evita autosave em loop)
+  function setSegments(list) {
+    segments = (Array.isArray(list) ? list : [])
+      .map(function(s) { return normalizeSegment(s); })
+      .filter(function(s) { return s.text; });
+    recordingOffset = getDuration();
+    markDirty(0);
+  }
+
+  function getText() {
+    return segmentsToText(segments);
+  }
+
+  function getNLines() {
+    return segments.length;
+  }
+
+  return {
+    append,
+    clear,
+    beginRecording,
+    getRecordingOffset,
+    getDuration,
+    getSegments,
+    setSegments,
+    getText,
+    getNLines,
+    takeDirtyFrom,
+    editText,
+    splitSegment,
+    mergeWithNext,
+    removeSegment,
+    swapAlternative,
+    setSpeaker,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    getHistory,
+    setHistory,
+  };
+}
@@ -0,0 +1,100 @@
+// src/lib/vocabulary.js
+// Vocabulário personalizado (jargão, nomes de produto). Funções puras.
+//
+// Vocabulário: { terms: ["Kubernetes", ...], replacements: [{ from, to }] }
+//   terms        dicas para o motor (gramática/frases no Web Speech, prompt no Whisper)
+//   replacements aplicadas ao texto final de qualquer motor, palavra inteira,
+//                sem diferenciar maiúsculas/acentos em `from`
+// Existe um vocabulário global (preferências) e um por sessão; valem os dois.
+
+import { sanitizeLabel } from "./sanitize";
+
+export const MAX_TERMS = 500;
+export const MAX_REPLACEMENTS = 500;
+
+// o prompt do Whisper é curto (224 tokens); termos além disso são cortados
+const WHISPER_PROMPT_CHARS = 600;
+
+export function emptyVocabulary() {
+  return { terms: [], replacements: [] };
+}
+
+export function normalizeVocabulary(raw) {
+  const v = raw || {};
+  const terms = Array.from(new Set((Array.isArray(v.terms) ? v.terms : [])
+    .map(function(t) { return sanitizeLabel(t, 100); })
+    .filter(Boolean))).slice(0, MAX_TERMS);
+
+  const replacements = (Array.isArray(v.replacements) ? v.replacements : [])
+    .map(function(r) { return { from: sanitizeLabel(r && r.from, 100), to: sanitizeLabel(r && r.to, 200) }; })
+    .filter(function(r) { return r.from; })
+    .slice(0, MAX_REPLACEMENTS);
+
+  return { terms, replacements };
+}
+
+// Global + sessão; em `from` repetido vale a regra da sessão
+export function mergeVocabulary(global, session) {
+  const a = normalizeVocabulary(global);
+  const b = normalizeVocabulary(session);
+  const byFrom = new Map();
+  for (const r of a.replacements.concat(b.replacements)) byFrom.set(r.from.toLowerCase(), r);
+  return {
+    terms: Array.from(new Set(a.terms.concat(b.terms))),
+    replacements: Array.from(byFrom.values()),
+  };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// letras com e sem acento casam entre si ("sao" acha "São")
+function accentInsensitive(str) {
+  return Array.from(str.normalize("NFD").replace(/[\u0300-\u036f]/g, "")).map(function(ch) {
+    return /\p{L}/u.test(ch) ? `${escapeRegExp(ch)}\\p{M}*` : escapeRegExp(ch);
+  }).join("");
+}
+
+const compiled = new WeakMap();
+
+function compile(replacements) {
+  if (compiled.has(replacements)) return compiled.get(replacements);
+  const rules = replacements.map(function(r) {
+    return {
+      re: new RegExp(`(?<![\\p{L}\\p{N}])${accentInsensitive(r.from)}(?![\\p{L}\\p{N}])`, "giu"),
+      to: r.to,
+    };
+  });
+  compiled.set(replacements, rules);
+  return rules;
+}
+
+export function applyReplacements(text, replacements) {
+  if (!text || !replacements || !replacements.length) return text;
+  let out = String(text).normalize("NFD");
+  for (const rule of compile(replacements)) {
+    out = out.replace(rule.re, function() { return rule.to; });
+  }
+  return out.normalize("NFC").replace(/\s{2,}/g, " ").trim();
+}
+
+// JSGF para SpeechGrammarList (navegadores que ainda a usam)
+export function toJSGF(terms) {
+  const alts = (terms || [])
+    .map(function(t) { return t.replace(/[;|<>=*+()[\]{}"\\/]/g, " ").replace(/\s+/g, " ").trim(); })
+    .filter(Boolean);
+  if (!alts.length) return null;
+  return `#JSGF V1.0; grammar vocabulario; public <termo> = ${alts.join(" | ")} ;`;
+}
+
+// Prompt inicial do Whisper: o modelo tende a reproduzir a grafia do prompt
+export function whisperPrompt(terms) {
+  let out = "";
+  for (const t of terms || []) {
+    const next = out ? `${out}, ${t}` : t;
+    if (next.length > WHISPER_PROMPT_CHARS) break;
+    out = next;
+  }
+  return out ? `${out}.` : "";
+}
@@ -0,0 +1,183 @@
+// src/lib/voiceCommands.js
+// Comandos de voz durante o ditado ("nova linha", "ponto final"...).
+// Funções puras: o bridge separa texto e comandos; quem aplica o comando ao
+// store (ou chama stop) é a UI, na ordem em que chegam.
+//
+// Gramática por idioma base: { [commandId]: ["frase", ...] }
+// Configuração (gravada nas preferências):
+//   { enabled, grammars: { pt: { newline: [...] }, ... } }   só o que o usuário mudou
+
+import { foldText } from "./search";
+
+// Comandos conhecidos; mark = pontuação aplicada ao trecho anterior
+export const VOICE_COMMANDS = [
+  { id: "newline", title: "Nova linha" },
+  { id: "period", title: "Ponto final", mark: "." },
+  { id: "comma", title: "Vírgula", mark: "," },
+  { id: "question", title: "Ponto de interrogação", mark: "?" },
+  { id: "deleteLast", title: "Apagar última frase" },
+  { id: "stop", title: "Parar gravação" },
+];
+
+export const DEFAULT_GRAMMARS = {
+  pt: {
+    newline: ["nova linha", "próxima linha", "novo parágrafo"],
+    period: ["ponto final"],
+    comma: ["vírgula"],
+    question: ["ponto de interrogação"],
+    deleteLast: ["apagar última frase", "apaga a última frase"],
+    stop: ["parar gravação", "pare a gravação"],
+  },
+  en: {
+    newline: ["new line", "next line", "new paragraph"],
+    period: ["full stop", "period"],
+    comma: ["comma"],
+    question: ["question mark"],
+    deleteLast: ["delete last sentence", "scratch that"],
+    stop: ["stop recording"],
+  },
+  es: {
+    newline: ["nueva línea", "nuevo párrafo"],
+    period: ["punto final"],
+    comma: ["coma"],
+    question: ["signo de interrogación"],
+    deleteLast: ["borrar última frase"],
+    stop: ["detener grabación"],
+  },
+  fr: {
+    newline: ["nouvelle ligne", "à la ligne"],
+    period: ["point final"],
+    comma: ["virgule"],
+    question: ["point d'interrogation"],
+    deleteLast: ["effacer la dernière phrase"],
+    stop: ["arrêter l'enregistrement"],
+  },
+  de: {
+    newline: ["neue zeile", "neuer absatz"],
+    period: ["punkt"],
+    comma: ["komma"],
+    question: ["fragezeichen"],
+    deleteLast: ["letzten satz löschen"],
+    stop: ["aufnahme stoppen"],
+  },
+  it: {
+    newline: ["nuova riga", "a capo"],
+    period: ["punto fermo"],
+    comma: ["virgola"],
+    question: ["punto interrogativo"],
+    deleteLast: ["cancella ultima frase"],
+    stop: ["ferma registrazione"],
+  },
+};
+
+export function getCommand(id) {
+  return VOICE_COMMANDS.find(function(c) { return c.id === id; }) || null;
+}
+
+function baseLanguage(language) {
+  return String(language || "").split("-")[0].toLowerCase();
+}
+
+export function defaultCommandConfig() {
+  return { enabled: false, grammars: {} };
+}
+
+export function normalizeCommandConfig(raw) {
+  const cfg = raw || {};
+  const grammars = {};
+  const known = new Set(VOICE_COMMANDS.map(function(c) { return c.id; }));
+
+  for (const [lang, g] of Object.entries(cfg.grammars || {})) {
+    if (!/^[a-z]{2,3}$/.test(lang) || !g || typeof g !== "object") continue;
+    const out = {};
+    for (const [id, list] of Object.entries(g)) {
+      if (!known.has(id) || !Array.isArray(list)) continue;
+      out[id] = list.map(function(p) { return String(p || "").trim().slice(0, 80); }).filter(Boolean);
+    }
+    grammars[lang] = out;
+  }
+  return { enabled: !!cfg.enabled, grammars };
+}
+
+export function commandLanguage(language) {
+  return baseLanguage(language);
+}
+
+// Gramática efetiva: a do usuário para o idioma, senão a padrão
+export function grammarFor(language, custom) {
+  const base = baseLanguage(language);
+  const user = custom && custom[base];
+  const def = DEFAULT_GRAMMARS[base] || {};
+  const out = {};
+  for (const c of VOICE_COMMANDS) {
+    const list = user && Array.isArray(user[c.id]) ? user[c.id] : def[c.id] || [];
+    out[c.id] = list.map(function(p) { return String(p || "").trim(); }).filter(Boolean);
+  }
+  return out;
+}
+
+// Normaliza texto para comparação e guarda o índice original de cada palavra
+function wordsOf(text) {
+  const words = [];
+  const re = /[\p{L}\p{N}']+/gu;
+  let m;
+  while ((m = re.exec(text))) words.push({ key: foldText(m[0]), start: m.index, end: m.index + m[0].length });
+  return words;
+}
+
+// "olá nova linha tudo bem ponto final" ->
+//   [{ type: "text", text: "olá" }, { type: "command", id: "newline" },
+//    { type: "text", text: "tudo bem" }, { type: "command", id: "period" }]
+export function parseCommands(text, grammar) {
+  const src = String(text || "");
+  const phrases = [];
+  for (const id of Object.keys(grammar || {})) {
+    for (const p of grammar[id]) {
+      const keys = wordsOf(p).map(function(w) { return w.key; });
+      if (keys.length) phrases.push({ id, keys });
+    }
+  }
+  if (!phrases.length) return [{ type: "text", text: src.trim() }].filter(function(p) { return p.text; });
+
+  // frases mais longas primeiro ("ponto de interrogação" antes de "ponto")
+  phrases.sort(function(a, b) { return b.keys.length - a.keys.length; });
+
+  const words = wordsOf(src);
+  const out = [];
+  let textFrom = 0;
+  let i = 0;
+  while (i < words.length) {
+    const hit = phrases.find(function(p) {
+      return p.keys.every(function(k, n) { return words[i + n] && words[i + n].key === k; });
+    });
+    if (!hit) {
+      i++;
+      continue;
+    }
+
+    const before = src.slice(textFrom, words[i].start).replace(/[\s,;:]+$/, "").trim();
+    if (before) out.push({ type: "text", text: before });
+    out.push({ type: "command", id: hit.id });
+
+    const last = words[i + hit.keys.length - 1];
+    textFrom = last.end;
+    i += hit.keys.length;
+  }
+
+  const rest = src.slice(textFrom).replace(/^[\s.,;:!?]+/, "").trim();
+  if (rest) out.push({ type: "text", text: rest });
+  return out;
+}
+
+// Pontua o fim de um texto trocando a pontuação final que já houver
+export function punctuate(text, mark) {
+  return String(text || "").replace(/[\s.,;:!?…]+$/, "") + mark;
+}
+
+// Remove a última frase; "" se só havia uma
+export function dropLastSentence(text) {
+  const src = String(text || "").trim();
+  const body = src.replace(/[.!?…]+$/, "");
+  const idx = Math.max(body.lastIndexOf(". "), body.lastIndexOf("! "), body.lastIndexOf("? "), body.lastIndexOf("… "));
+  return idx < 0 ? "" : body.slice(0, idx + 1);
+}
@@ -0,0 +1,136 @@
+// src/lib/whisper.worker.js
+// Worker dedicado ao runtime do whisper.cpp (libstream.js + libstream.worker.js
+// em public/). Mantém o WASM e o polling fora da thread da UI.
+//
+// Protocolo: a página envia { id, type, ... } e recebe { id, ok, result | error }.
+//   "load"            { base }         importa libstream.js -> { setPrompt }
+//   "store_model"     { fname, buf }   grava o modelo no FS (libera a instância)
+//   "init"            { fname, lang }  cria a instância (libera a anterior) -> id
+//   "set_audio"       { audio }        Float32Array 16 kHz mono
+//   "get_transcribed" {}               -> { text, status }
+//   "status"          { value? }       define (se value != null) e lê o status
+//   "set_prompt"      { prompt }       -> false se o build não expõe set_prompt
+//   "free"            {}
+// Mensagens sem id: { type: "debug", text } (print/printErr do runtime).
+//
+// Script clássico e sem imports: libstream.js só carrega via importScripts.
+
+var instance = 0;
+var loading = null;
+
+function debug(text) {
+  self.postMessage({ type: "debug", text: String(text) });
+}
+
+function load(base) {
+  if (loading) return loading;
+
+  loading = new Promise(function(resolve, reject) {
+    // libstream.js espera um objeto Module global já configurado
+    self.Module = {
+      print: debug,
+      printErr: debug,
+      setStatus: function(text) { if (text) debug("js: " + text); },
+      monitorRunDependencies: function() {},
+      // caminhos relativos a public/, não à URL deste worker
+      locateFile: function(path) { return base + path; },
+      mainScriptUrlOrBlob: base + "libstream.js",
+      onRuntimeInitialized: function() {
+        resolve({ setPrompt: typeof self.Module.set_prompt === "function" });
+      },
+      onAbort: function(what) {
+        reject(new Error("runtime abortado: " + what));
+      },
+    };
+
+    try {
+      importScripts(base + "libstream.js");
+    } catch (e) {
+      reject(new Error("libstream.js não carregou de " + base));
+    }
+  });
+
+  loading.catch(function() { loading = null; });
+  return loading;
+}
+
+function runtime() {
+  if (!self.Module || !self.Module.init) throw new Error("runtime não carregado");
+  return self.Module;
+}
+
+function free() {
+  if (instance) runtime().free(instance);
+  instance = 0;
+}
+
+var handlers = {
+  load: function(msg) {
+    return load(msg.base);
+  },
+
+  store_model: function(msg) {
+    var M = runtime();
+    free();
+    try {
+      M.FS_unlink(msg.fname);
+    } catch (e) {}
+    var data = new Uint8Array(msg.buf);
+    M.FS_createDataFile("/", msg.fname, data, true, true);
+    debug("storeFS: stored model: " + msg.fname + " size: " + data.length);
+    return data.length;
+  },
+
+  init: function(msg) {
+    var M = runtime();
+    free();
+    instance = M.init(msg.fname, msg.lang) || 0;
+    return instance;
+  },
+
+  set_audio: function(msg) {
+    if (!instance) throw new Error("instância não inicializada");
+    runtime().set_audio(instance, msg.audio);
+    return true;
+  },
+
+  get_transcribed: function() {
+    var M = runtime();
+    return { text: M.get_transcribed() || "", status: String(M.get_status() || "") };
+  },
+
+  status: function(msg) {
+    var M = runtime();
+    if (msg.value != null) M.set_status(msg.value);
+    return String(M.get_status() || "");
+  },
+
+  set_prompt: function(msg) {
+    var M = runtime();
+    if (typeof M.set_prompt !== "function") return false;
+    M.set_prompt(instance, msg.prompt);
+    return true;
+  },
+
+  free: function() {
+    if (self.Module && self.Module.free) free();
+    return true;
+  },
+};
+
+self.onmessage = function(e) {
+  var msg = e.data || {};
+  var handler = handlers[msg.type];
+
+  Promise.resolve()
+    .then(function() {
+      if (!handler) throw new Error("mensagem desconhecida: " + msg.type);
+      return handler(msg);
+    })
+    .then(function(result) {
+      self.postMessage({ id: msg.id, ok: true, result: result });
+    })
+    .catch(function(err) {
+      self.postMessage({ id: msg.id, ok: false, error: err && err.message ? err.message : String(err) });
+    });
+};
@@ -1,21 +1,32 @@
 // src/lib/whisperBridge.js
-// Ponte entre Vue e os scripts padrao do whisper.cpp (helpers.js + libstream.js)
+// Ponte entre Vue e o runtime do whisper.cpp (libstream.js), que roda num
+// worker dedicado (whisper.worker.js); a página só troca mensagens com ele.
+// Segue o contrato de motor descrito em engines.js.
+//
+// Além do microfone, transcreve arquivos de áudio/vídeo (transcribeFile): o
+// arquivo é decodificado e reamostrado como na gravação e entregue ao
+// stream.wasm em janelas de kFileWindow_s, uma de cada vez.
+
+import { createEmitter } from "./emitter";
+import { formatMMSS } from "./transcriptStore";
+import { sanitizeText } from "./sanitize";
+import { whisperLanguage } from "./languages";
+import { applyReplacements, whisperPrompt } from "./vocabulary";
+import { createModelManager, getModelInfo } from "./modelManager";
 
 export function createWhisperBridge(opts) {
   const {
-    onBanner,
-    onStatus,
-    onTimer,
-    onTranscriptHtml,
-    onPartialText,
-    onDebug,
-    onModelProgress,
-    onModelLoaded,
-    onModelError,
     getLanguage,
+    getVocabulary,
+    postProcess,
     persist,
+    modelManager,
+    getModelMirror,
   } = opts || {};
 
+  const events = createEmitter();
+  const models = modelManager || createModelManager({ onDebug: dbg });
+
   // audio context
   let context = null;
 
@@ -23,76 +34,130 @@ export function createWhisperBridge(opts) {
   let audio = null;
   let audio0 = null;
 
-  // whisper instance
+  // whisper instance (e o idioma com que foi criada)
   let instance = null;
+  let instanceLang = null;
 
-  // estado transcript
-  let transcribedAll = "";
-  let nLines = 0;
+  // polling do texto transcrito
   let intervalUpdate = null;
 
   // model
   let model_whisper = null;
+  let modelReady = false;
+  let modelAbort = null; // AbortController do download em curso
+
+  // worker do runtime
+  let worker = null;
+  let workerSeq = 0;
+  let runtime = null; // Promise<{ setPrompt }> do "load"
+  let runtimeStatus = "";
+  const pending = new Map();
 
   // recording
   const kSampleRate = 16000;
   const kRestartRecording_s = 120;
   const kIntervalAudio_ms = 5000;
 
+  // transcrição de arquivo: janela igual à que o stream.wasm processa por vez
+  const kFileWindow_s = 5;
+  const kFilePoll_ms = 100;
+  const kFileWindowTimeout_ms = 60000;
+  let fileBusy = false;
+
   let mediaRecorder = null;
   let doRecording = false;
   let startTime = 0;
+  let lastSegmentEndMs = 0;
 
   window.AudioContext = window.AudioContext || window.webkitAudioContext;
   window.OfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
 
   function dbg(msg) {
-    try {
-      onDebug && onDebug(msg);
-    } catch (e) {}
+    events.emit("debug", msg);
   }
 
   function setBanner(msg) {
-    try {
-      onBanner && onBanner(msg);
-    } catch (e) {}
+    events.emit("status", { isRunning: !!doRecording, message: msg });
   }
 
-  function formatMMSS(ms) {
-    const s0 = Math.max(0, Math.floor(ms / 1000));
-    const m = Math.floor(s0 / 60);
-    const s = s0 % 60;
-    return String(m).padStart(2, "0") + "m " + String(s).padStart(2, "0") + "s";
+  function emitError(code, msg) {
+    events.emit("error", { code: code, message: msg });
   }
 
   function emitStatus() {
-    try {
-      onStatus && onStatus({ isRunning: !!doRecording });
-    } catch (e) {}
+    events.emit("status", { isRunning: !!doRecording });
   }
 
   function emitTimer() {
-    try {
-      onTimer && onTimer(doRecording ? formatMMSS(Date.now() - startTime) : "00m 00s");
-    } catch (e) {}
+    events.emit("timer", doRecording ? formatMMSS(Date.now() - startTime) : "00m 00s");
   }
 
-  function emitTranscript() {
-    try {
-      onTranscriptHtml && onTranscriptHtml(transcribedAll && transcribedAll.length ? transcribedAll : "[A transcricao vai aparecer aqui]");
-    } catch (e) {}
+  function emitRuntime(status) {
+    if (status === runtimeStatus) return;
+    runtimeStatus = status;
+    events.emit("runtime", status);
   }
 
-  function scheduleAutosave() {
-    try {
-      persist && persist.scheduleAutosave && persist.scheduleAutosave();
-    } catch (e) {}
+  // ═══════════════════════════════════════════════════════════════════
+  // WORKER
+  // ═══════════════════════════════════════════════════════════════════
+
+  function onWorkerMessage(e) {
+    var msg = e.data || {};
+    if (msg.type === "debug") {
+      dbg(msg.text);
+      return;
+    }
+
+    var p = pending.get(msg.id);
+    if (!p) return;
+    pending.delete(msg.id);
+    if (msg.ok) p.resolve(msg.result);
+    else p.reject(new Error(msg.error));
+  }
+
+  // Envia { type, ...payload } ao worker; resolve com o result da resposta
+  function call(type, payload, transfer) {
+    if (!worker) {
+      worker = new Worker(new URL("./whisper.worker.js", import.meta.url));
+      worker.onmessage = onWorkerMessage;
+      worker.onerror = function(e) {
+        dbg("js: worker: " + (e.message || "erro"));
+      };
+    }
+
+    var id = ++workerSeq;
+    return new Promise(function(resolve, reject) {
+      pending.set(id, { resolve: resolve, reject: reject });
+      worker.postMessage(Object.assign({ id: id, type: type }, payload), transfer || []);
+    });
   }
 
+  function terminateWorker() {
+    if (worker) worker.terminate();
+    worker = null;
+    runtime = null;
+    instance = null;
+    pending.forEach(function(p) { p.reject(new Error("worker encerrado")); });
+    pending.clear();
+  }
+
+  // Carrega libstream.js no worker (uma vez); os arquivos ficam em public/
+  function ensureRuntime() {
+    if (!runtime) {
+      var base = new URL(import.meta.env.BASE_URL || "/", window.location.href).href;
+      runtime = call("load", { base: base });
+      runtime.catch(function() { runtime = null; });
+    }
+    return runtime;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // GRAVAÇÃO
+  // ═══════════════════════════════════════════════════════════════════
+
   function stopRecording() {
-    try {
-      if (window.Module && window.Module.set_status) window.Module.set_status("paused");
-    } catch (e) {}
+    if (worker) call("status", { value: "paused" }).catch(function() {});
 
     doRecording = false;
     audio0 = null;
@@ -101,7 +166,6 @@ export function createWhisperBridge(opts) {
 
     emitStatus();
     emitTimer();
-    scheduleAutosave();
   }
 
   function startRecording() {
@@ -115,16 +179,12 @@ export function createWhisperBridge(opts) {
       });
     }
 
-    try {
-      if (window.Module && window.Module.set_status) window.Module.set_status("");
-    } catch (e) {}
+    call("status", { value: "" }).catch(function() {});
 
     doRecording = true;
-    startTime = Date.now();
 
     emitStatus();
     emitTimer();
-    scheduleAutosave();
 
     var chunks = [];
     var stream = null;
@@ -166,8 +226,11 @@ export function createWhisperBridge(opts) {
                   if (audio0 != null) audioAll.set(audio0, 0);
                   audioAll.set(audio, audio0 == null ? 0 : audio0.length);
 
-                  if (instance && window.Module && window.Module.set_audio) {
-                    window.Module.set_audio(instance, audioAll);
+                  // audioAll é descartável: o buffer é transferido, sem cópia
+                  if (instance) {
+                    call("set_audio", { audio: audioAll }, [audioAll.buffer]).catch(function(err) {
+                      dbg("js: set_audio: " + err.message);
+                    });
                   }
                 });
               },
@@ -190,7 +253,7 @@ export function createWhisperBridge(opts) {
       })
       .catch(function(err) {
         dbg("js: error getting audio stream: " + err);
-        setBanner("Erro ao acessar microfone. Confira permissoes.");
+        emitError("audio-capture", "Erro ao acessar microfone. Confira permissoes.");
       });
 
     var interval = setInterval(function() {
@@ -206,8 +269,6 @@ export function createWhisperBridge(opts) {
         } catch (e) {}
 
         mediaRecorder = null;
-
-        scheduleAutosave();
         return;
       }
 
@@ -225,238 +286,358 @@ export function createWhisperBridge(opts) {
         try {
           if (stream) stream.getTracks().forEach(function(t) { t.stop(); });
         } catch (e) {}
-
-        scheduleAutosave();
       }
 
       emitTimer();
     }, 100);
   }
 
-  function ensureInstance() {
-    if (instance) return true;
-    if (!window.Module || !window.Module.init) return false;
+  async function ensureInstance() {
+    var lang = whisperLanguage(getLanguage && getLanguage());
+    if (instance && instanceLang === lang) return true;
+
+    // o idioma é fixado em Module.init: idioma novo pede outra instância
+    // (o worker libera a anterior)
+    if (instance) dbg("js: whisper instance freed (idioma " + instanceLang + " -> " + lang + ")");
+    instance = null;
 
-    var lang = (getLanguage && getLanguage()) || "pt";
-    instance = window.Module.init("whisper.bin", lang);
+    await ensureRuntime();
+    instance = await call("init", { fname: "whisper.bin", lang: lang });
     if (instance) {
-      dbg("js: whisper initialized, instance: " + instance);
+      instanceLang = lang;
+      dbg("js: whisper initialized, instance: " + instance + ", idioma: " + lang);
       return true;
     }
+    instance = null;
     return false;
   }
 
+  // Pipeline de pós-processamento (postprocess.js)
+  function finish(text) {
+    return postProcess ? postProcess(text) : text;
+  }
+
+  function vocabulary() {
+    return (getVocabulary && getVocabulary()) || { terms: [], replacements: [] };
+  }
+
+  // Termos do vocabulário como prompt inicial. O stream.wasm padrão do
+  // whisper.cpp não expõe set_prompt; builds que expõem passam a usá-lo.
+  async function applyPrompt() {
+    var prompt = whisperPrompt(vocabulary().terms);
+    var supported = await call("set_prompt", { prompt: prompt });
+    if (supported) {
+      if (prompt) dbg("js: prompt inicial: " + prompt);
+    } else if (prompt) {
+      dbg("js: Module.set_prompt indisponivel; vocabulario aplicado so nas substituicoes");
+    }
+  }
+
+  // Lê o texto da última janela processada (um pedido por vez)
+  function startPolling() {
+    var polling = false;
+
+    intervalUpdate = setInterval(function() {
+      emitStatus();
+      emitTimer();
+      if (polling) return;
+
+      polling = true;
+      call("get_transcribed").then(function(r) {
+        polling = false;
+        emitRuntime(r.status);
+        if (r.text != null && r.text.length > 1) {
+          // whisper entrega o texto da janela desde a última leitura
+          var endMs = Date.now() - startTime;
+          events.emit("segment", {
+            text: finish(applyReplacements(sanitizeText(r.text), vocabulary().replacements)),
+            start: lastSegmentEndMs,
+            end: endMs,
+            confidence: null,
+            engine: "whisper"
+          });
+          lastSegmentEndMs = endMs;
+        }
+      }).catch(function(e) {
+        polling = false;
+        dbg(String(e.message || e));
+      });
+    }, 100);
+  }
+
   function start() {
-    if (!model_whisper) {
-      setBanner("Carregue um modelo primeiro.");
+    if (fileBusy) {
+      emitError("file-busy", "Aguarde o fim da transcrição do arquivo.");
       return false;
     }
 
-    if (!ensureInstance()) {
-      dbg("js: failed to initialize whisper");
-      setBanner("Falha ao inicializar Whisper (veja Debug).");
+    if (!modelReady) {
+      emitError("no-model", "Carregue um modelo primeiro.");
       return false;
     }
 
-    startRecording();
-
     if (intervalUpdate) {
       clearInterval(intervalUpdate);
       intervalUpdate = null;
     }
 
-    intervalUpdate = setInterval(function() {
-      try {
-        var transcribed = window.Module && window.Module.get_transcribed ? window.Module.get_transcribed() : null;
-        if (transcribed != null && transcribed.length > 1) {
-          transcribedAll += transcribed + "<br>";
-          nLines++;
-
-          // mantem ultimas 10 linhas (mesmo comportamento do exemplo)
-          if (nLines > 10) {
-            var i = transcribedAll.indexOf("<br>");
-            if (i > 0) {
-              transcribedAll = transcribedAll.substring(i + 4);
-              nLines--;
-            }
-          }
-
-          scheduleAutosave();
-        }
-
-        var status = (window.Module && window.Module.get_status) ? window.Module.get_status() : "";
-        var hidden = document.getElementById("state-status");
-        if (hidden) hidden.innerHTML = status;
-
-        emitTranscript();
-        emitStatus();
-        emitTimer();
-      } catch (e) {
-        dbg(String(e.stack || e));
-      }
-    }, 100);
+    startTime = Date.now();
+    lastSegmentEndMs = 0;
+    startRecording();
+    startPolling();
+
+    // a instância é criada no worker enquanto o microfone abre
+    ensureInstance().then(function(ok) {
+      if (!ok) throw new Error("init retornou 0");
+      return applyPrompt();
+    }).catch(function(e) {
+      dbg("js: failed to initialize whisper: " + (e && e.message ? e.message : e));
+      emitError("init-failed", "Falha ao inicializar Whisper (veja Debug).");
+      stop();
+    });
 
     return true;
   }
 
   function stop() {
     stopRecording();
-    emitTranscript();
-    scheduleAutosave();
   }
 
-  function clearTranscript() {
-    transcribedAll = "";
-    nLines = 0;
-    if (onPartialText) onPartialText("");
-    emitTranscript();
-    scheduleAutosave();
+  // ═══════════════════════════════════════════════════════════════════
+  // TRANSCRIÇÃO DE ARQUIVO
+  // ═══════════════════════════════════════════════════════════════════
+
+  function abortError() {
+    var e = new Error("Transcrição cancelada.");
+    e.name = "AbortError";
+    return e;
   }
 
-  function clearCache() {
-    if (typeof window.clearCache === "function") {
-      window.clearCache();
-      dbg("js: clearCache called");
-    }
+  function sleep(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
   }
 
-  function storeFS(fname, buf) {
-    // do exemplo: grava o modelo no FS do Emscripten
-    try {
-      if (window.Module && window.Module.FS_unlink) window.Module.FS_unlink(fname);
-    } catch (e) {}
+  // Arquivo -> Float32Array mono em kSampleRate (mesmo caminho da gravação)
+  function decodeFile(file) {
+    return file.arrayBuffer().then(function(buf) {
+      var ctx = new OfflineAudioContext(1, kSampleRate, kSampleRate);
+      return ctx.decodeAudioData(buf);
+    }).then(function(audioBuffer) {
+      var offlineContext = new OfflineAudioContext(1, Math.ceil(audioBuffer.duration * kSampleRate), kSampleRate);
+      var source = offlineContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.connect(offlineContext.destination);
+      source.start(0);
+      return offlineContext.startRendering();
+    }).then(function(rendered) {
+      return rendered.getChannelData(0);
+    });
+  }
+
+  // Espera o resultado da janela entregue: texto, ou "" quando o runtime volta
+  // a esperar áudio sem produzir nada (silêncio)
+  async function waitWindowResult(signal) {
+    var started = Date.now();
+    var sawRunning = false;
 
-    if (window.Module && window.Module.FS_createDataFile) {
-      window.Module.FS_createDataFile("/", fname, buf, true, true);
+    for (;;) {
+      await sleep(kFilePoll_ms);
+      if (signal && signal.aborted) throw abortError();
+
+      var r = await call("get_transcribed");
+      emitRuntime(r.status);
+      if (/running/i.test(r.status)) sawRunning = true;
+
+      if (r.text) return r.text;
+      if ((sawRunning && /waiting/i.test(r.status)) || Date.now() - started > kFileWindowTimeout_ms) return "";
     }
+  }
 
-    dbg("storeFS: stored model: " + fname + " size: " + buf.length);
+  // Transcreve um arquivo; resolve com os segmentos (tempos relativos ao início
+  // do arquivo). options: { onProgress(0..1), signal: AbortSignal }
+  async function transcribeFile(file, options) {
+    var o = options || {};
+    if (doRecording) throw new Error("Pare a gravação antes de transcrever um arquivo.");
+    if (fileBusy) throw new Error("Já há um arquivo em transcrição.");
+    if (!modelReady) throw new Error("Carregue um modelo primeiro.");
 
-    // habilita runtime
-    model_whisper = model_whisper || "custom";
-    scheduleAutosave();
+    fileBusy = true;
+    // o polling da gravação anterior consumiria o texto das janelas do arquivo
+    if (intervalUpdate) {
+      clearInterval(intervalUpdate);
+      intervalUpdate = null;
+    }
 
-    setBanner("Modelo carregado: " + model_whisper + ". Você já pode clicar em Iniciar.");
-    
-    // Notifica que o modelo foi carregado
     try {
-      if (onModelLoaded) onModelLoaded();
-    } catch (e) {}
-  }
+      if (!(await ensureInstance())) throw new Error("Falha ao inicializar Whisper (veja Debug).");
+      await applyPrompt();
+      dbg("js: decodificando " + file.name);
+      var pcm = await decodeFile(file);
+      if (o.signal && o.signal.aborted) throw abortError();
+
+      var win = kFileWindow_s * kSampleRate;
+      var total = Math.max(1, Math.ceil(pcm.length / win));
+      var segments = [];
+      dbg("js: " + file.name + ": " + formatMMSS((pcm.length / kSampleRate) * 1000) + ", " + total + " janela(s)");
+
+      await call("status", { value: "" });
+      // descarta texto que tenha ficado da gravação anterior
+      await call("get_transcribed");
+
+      for (var i = 0; i < total; i++) {
+        // slice (cópia) para poder transferir sem perder o restante do arquivo
+        var slice = pcm.slice(i * win, Math.min(pcm.length, (i + 1) * win));
+        await call("set_audio", { audio: slice }, [slice.buffer]);
+        var raw = await waitWindowResult(o.signal);
+        var text = finish(applyReplacements(sanitizeText(raw).replace(/\[BLANK_AUDIO\]/g, ""), vocabulary().replacements)).trim();
+        if (text) {
+          segments.push({
+            text: text,
+            start: i * kFileWindow_s * 1000,
+            end: Math.round((Math.min(pcm.length, (i + 1) * win) / kSampleRate) * 1000),
+            confidence: null,
+            engine: "whisper",
+          });
+        }
+        if (o.onProgress) o.onProgress((i + 1) / total);
+      }
 
-  function loadWhisper(model) {
-    // usa helpers.js: loadRemote(url, dst, sizeMB, cbProgress, cbReady, cbCancel, print)
-    if (typeof window.loadRemote !== "function") {
-      dbg("helpers.js not loaded? loadRemote missing");
-      setBanner("helpers.js não carregou (loadRemote ausente).");
-      return;
+      dbg("js: " + file.name + ": " + segments.length + " segmento(s)");
+      return segments;
+    } finally {
+      fileBusy = false;
+      if (!doRecording && worker) call("status", { value: "paused" }).catch(function() {});
     }
+  }
 
-    // URLs corretas do repositorio HuggingFace
-    var urls = {
-      "tiny.en": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.en.bin",
-      "tiny": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.bin",
-      "base.en": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.en.bin",
-      "base": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.bin",
-      "small.en": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.en.bin",
-      "small": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.bin",
-      "tiny-en-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.en-q5_1.bin",
-      "tiny-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny-q5_1.bin",
-      "base-en-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.en-q5_1.bin",
-      "base-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base-q5_1.bin",
-      "small-en-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small.en-q5_1.bin",
-      "small-q5_1": "https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-small-q5_1.bin"
-    };
+  // ═══════════════════════════════════════════════════════════════════
+  // MODELO
+  // ═══════════════════════════════════════════════════════════════════
 
-    var sizes = {
-      "tiny.en": 75,
-      "tiny": 75,
-      "base.en": 142,
-      "base": 142,
-      "small.en": 466,
-      "small": 466,
-      "tiny-en-q5_1": 31,
-      "tiny-q5_1": 31,
-      "base-en-q5_1": 57,
-      "base-q5_1": 57,
-      "small-en-q5_1": 181,
-      "small-q5_1": 181
-    };
+  // Whisper não produz parciais; apenas limpa a linha de hipótese na UI
+  function clearTranscript() {
+    events.emit("partial", { text: "" });
+  }
 
-    var url = urls[model];
-    var dst = "whisper.bin";
-    var size_mb = sizes[model];
+  function clearCache() {
+    return models.clearAll();
+  }
 
-    if (!url) {
-      setBanner("Modelo invalido: " + model);
-      return;
-    }
+  // Grava o modelo no FS do Emscripten (no worker); a instância antiga aponta
+  // para o modelo anterior e é liberada lá
+  function storeFS(fname, buf) {
+    modelReady = false;
+    instance = null;
+
+    return ensureRuntime().then(function() {
+      // o buffer é transferido ao worker: quem chamou não deve mais usá-lo
+      return call("store_model", { fname: fname, buf: buf.buffer }, [buf.buffer]);
+    }).then(function() {
+      // habilita runtime
+      model_whisper = model_whisper || "custom";
+      modelReady = true;
+
+      setBanner("Modelo carregado: " + model_whisper + ". Você já pode clicar em Iniciar.");
+
+      // Notifica que o modelo foi carregado
+      events.emit("model", { state: "loaded", progress: 1 });
+    }).catch(function(e) {
+      dbg("js: storeFS: " + (e && e.message ? e.message : e));
+      emitError("runtime", "O runtime do Whisper não carregou (libstream.js em public/?).");
+      events.emit("model", { state: "error" });
+    });
+  }
+
+  function modelFailed(code, msg, e) {
+    dbg("js: " + code + ": " + (e && e.message ? e.message : e));
+    emitError(code, msg);
+    events.emit("model", { state: "error" });
+  }
+
+  // Modelo em cache (modelManager.js), conferido pelo SHA-256, ou do catálogo,
+  // baixado do espelho/Hugging Face, retomando um download interrompido
+  function loadWhisper(model) {
+    if (!model || modelAbort) return;
+    var info = getModelInfo(model);
 
     model_whisper = model;
     try {
-      if (persist && persist.setLastModel) persist.setLastModel(model);
+      // importados de arquivo não entram no seletor do catálogo
+      if (info && persist && persist.setLastModel) persist.setLastModel(model).catch(function() {});
     } catch (e) {}
 
     var cbProgress = function(p) {
-      dbg("model progress: " + Math.round(100 * p) + "%");
-      try {
-        if (onModelProgress) onModelProgress(p);
-      } catch (e) {}
-    };
-
-    var cbCancel = function() {
-      setBanner("Download do modelo cancelado.");
-      dbg("model download canceled");
-      try {
-        if (onModelError) onModelError();
-      } catch (e) {}
+      events.emit("model", { state: "progress", progress: p });
     };
 
-    setBanner("Baixando modelo: " + model + " (" + size_mb + " MB)...");
+    setBanner("Carregando modelo: " + model + (info ? " (" + info.sizeMB + " MB)" : "") + "...");
+
+    var ctrl = new AbortController();
+    modelAbort = ctrl;
+    models.load(model, {
+      mirror: getModelMirror && getModelMirror(),
+      onProgress: cbProgress,
+      signal: ctrl.signal,
+    }).then(function(buf) {
+      return storeFS("whisper.bin", buf);
+    }).catch(function(e) {
+      if (e && e.name === "AbortError") {
+        modelFailed("model-canceled", "Download do modelo pausado; carregue de novo para retomar.", e);
+      } else {
+        modelFailed(e && e.code ? "model-" + e.code : "model-download", (e && e.message) || "Falha ao baixar o modelo " + model + ".", e);
+      }
+    }).finally(function() {
+      modelAbort = null;
+    });
+  }
 
-    window.loadRemote(
-      url,
-      dst,
-      size_mb,
-      cbProgress,
-      function(dst, buf) { storeFS(dst, buf); },
-      cbCancel,
-      dbg
-    );
+  function cancelModelLoad() {
+    if (modelAbort) modelAbort.abort();
+  }
 
-    scheduleAutosave();
+  // Modelo de um arquivo local (.bin do whisper.cpp), sem rede; fica no cache.
+  // options: { expectedSha256 }
+  function loadModelFile(file, options) {
+    if (!file) return;
+    events.emit("model", { state: "progress", progress: 0 });
+    setBanner("Lendo modelo " + file.name + "...");
+    models.importFile(file, options).then(function(r) {
+      model_whisper = r.id;
+      return storeFS("whisper.bin", r.data);
+    }).catch(function(e) {
+      modelFailed(e && e.code ? "model-" + e.code : "model-file", (e && e.message) || "Não foi possível ler o arquivo do modelo.", e);
+    });
   }
 
   function init() {
-    // inicializa labels e transcript do persist (se ja recuperou)
-    emitTranscript();
+    // inicializa labels
     emitStatus();
     emitTimer();
   }
 
-  function getModel() {
-    return model_whisper;
-  }
-
-  function setModel(m) {
-    model_whisper = m || model_whisper;
-  }
-
-  function getNLines() {
-    return nLines;
+  function setLanguage(lang) {
+    // o idioma é fixado em Module.init; vale a partir do próximo start()
+    dbg("js: idioma " + whisperLanguage(lang) + " sera aplicado no proximo inicio");
   }
 
-  function setNLines(v) {
-    var n = Number(v);
-    if (Number.isFinite(n) && n >= 0) nLines = n;
+  // Cleanup quando o motor for trocado ou o componente destruído
+  function destroy() {
+    stop();
+    cancelModelLoad();
+    if (intervalUpdate) {
+      clearInterval(intervalUpdate);
+      intervalUpdate = null;
+    }
+    terminateWorker();
+    events.clear();
   }
 
-  function setTranscriptHtml(html) {
-    transcribedAll = html || "";
+  function getModel() {
+    return model_whisper;
   }
 
-  function getTranscriptHtml() {
-    return transcribedAll;
+  function setModel(m) {
+    model_whisper = m || model_whisper;
   }
 
   return {
@@ -464,13 +645,17 @@ export function createWhisperBridge(opts) {
     start: start,
     stop: stop,
     loadWhisper: loadWhisper,
+    loadModel: loadWhisper,
+    loadModelFile: loadModelFile,
+    cancelModelLoad: cancelModelLoad,
+    transcribeFile: transcribeFile,
     clearCache: clearCache,
     clearTranscript: clearTranscript,
     getModel: getModel,
     setModel: setModel,
-    getNLines: getNLines,
-    setNLines: setNLines,
-    setTranscriptHtml: setTranscriptHtml,
-    getTranscriptHtml: getTranscriptHtml
+    setLanguage: setLanguage,
+    destroy: destroy,
+    on: events.on,
+    off: events.off
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+// tests/hostile.js
+// Entradas hostis usadas nos testes das pontes e da persistência. Cada caso
+// traz o texto que deve sobrar depois da sanitização.
+
+export const HOSTILE = [
+  { input: '<img src=x onerror="alert(1)">olá', text: "olá" },
+  { input: "<script>alert(1)</script>bom dia", text: "bom dia" },
+  { input: "<<script>script>alert(1)<</script>/script>texto", text: "texto" },
+  { input: "<svg/onload=alert(1)>fim", text: "fim" },
+  { input: "<iframe src=javascript:alert(1)></iframe>nada", text: "nada" },
+  { input: "<!-- comentário -->limpo", text: "limpo" },
+  { input: "a\u202Eb\u0000c", text: "abc" },
+];
+
+// Nenhuma marcação pode sobreviver, em nenhum campo
+export function hasMarkup(str) {
+  return /<[a-zA-Z!/?][^>]*>/.test(String(str));
+}
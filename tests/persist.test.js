@@ -0,0 +1,351 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createPersist, BACKUP_FORMAT, BACKUP_VERSION } from "../src/lib/persist";
+import { toSessionsJSON } from "../src/lib/exporters";
+import { parseJSONImport } from "../src/lib/importers";
+import { HOSTILE, hasMarkup } from "./hostile";
+
+const DB_NAME = "speech_api_persist";
+
+// Estado mínimo do App: só o que a persistência lê e escreve
+function createApp() {
+  const app = { segments: [], ui: {} };
+  app.persist = createPersist({
+    getSegments: () => app.segments,
+    takeDirtyFrom: () => 0,
+    getLanguage: () => "pt-BR",
+    setSegments: (list) => { app.segments = list; },
+    onPersistUI: (patch) => Object.assign(app.ui, patch),
+  });
+  return app;
+}
+
+function hostileSegments() {
+  return HOSTILE.map((h, i) => ({
+    id: `seg_${i}`,
+    text: h.input,
+    speaker: h.input,
+    alternatives: [{ text: h.input, confidence: 0.5 }],
+  }));
+}
+
+function expectClean(segments) {
+  expect(segments.map((s) => s.text)).toEqual(HOSTILE.map((h) => h.text));
+  for (const seg of segments) {
+    expect(hasMarkup(seg.speaker)).toBe(false);
+    expect((seg.alternatives || []).some((a) => hasMarkup(a.text))).toBe(false);
+  }
+}
+
+// grava direto no banco, como um IndexedDB adulterado
+function rawPut(storeName, value) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onsuccess = () => {
+      const d = req.result;
+      const t = d.transaction(storeName, "readwrite");
+      t.objectStore(storeName).put(value);
+      t.oncomplete = () => { d.close(); resolve(); };
+      t.onerror = () => reject(t.error);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+describe("persistência com entradas hostis", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("navigator", {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("importação sanitiza título, idioma e segmentos", async () => {
+    const app = createApp();
+    await app.persist.init();
+
+    const report = await app.persist.importSessions([
+      { session: { id: "<b>x</b>", title: "<script>alert(1)</script>Reunião", language: "<i>pt</i>" }, segments: hostileSegments() },
+    ]);
+    const id = report.ids[0];
+
+    expect(id).toMatch(/^sess_\w+$/);
+    const sess = await app.persist.getSessionMeta(id);
+    expect(sess.title).toBe("Reunião");
+    expect(hasMarkup(sess.language)).toBe(false);
+
+    await app.persist.restoreSessionById(id);
+    expectClean(app.segments);
+  });
+
+  it("restauração de backup sanitiza sessões e blocos", async () => {
+    const app = createApp();
+    await app.persist.init();
+
+    const archive = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      dbVersion: 4,
+      stores: {
+        sessions: [{
+          id: "sess_hostil",
+          title: '<img src=x onerror="alert(1)">Aula',
+          tags: ["<script>alert(1)</script>", "<b>tag</b>"],
+          description: "<iframe src=javascript:alert(1)></iframe>resumo",
+          updatedAt: new Date().toISOString(),
+        }],
+        chunks: [{ sessionId: "sess_hostil", seq: 0, segments: hostileSegments() }],
+        meta: [],
+      },
+    };
+
+    await app.persist.restoreDatabase(archive, "merge");
+
+    const sess = await app.persist.getSessionMeta("sess_hostil");
+    expect(sess.title).toBe("Aula");
+    expect(sess.tags).toEqual(["tag"]);
+    expect(sess.description).toBe("resumo");
+    expectClean(await app.persist.getSessionSegments("sess_hostil"));
+  });
+
+  it("blocos adulterados no banco são sanitizados ao recuperar", async () => {
+    const app = createApp();
+    await app.persist.init();
+    const id = app.persist.getActiveSessionId();
+
+    await rawPut("chunks", { sessionId: id, seq: 0, segments: hostileSegments() });
+    await app.persist.restoreSessionById(id);
+
+    expectClean(app.segments);
+  });
+
+  it("transcriptHTML legado (v1) vira texto na migração", async () => {
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const os = req.result.createObjectStore("sessions", { keyPath: "id" });
+        os.createIndex("updatedAt", "updatedAt", { unique: false });
+        os.put({
+          id: "sess_legado",
+          title: "Legado",
+          transcriptHTML: HOSTILE.map((h) => h.input).join("<br>") + "<br>&lt;script&gt;alert(1)&lt;/script&gt;fim<br>",
+        });
+      };
+      req.onsuccess = () => { req.result.close(); resolve(); };
+      req.onerror = () => reject(req.error);
+    });
+
+    const app = createApp();
+    await app.persist.init();
+
+    const texts = (await app.persist.getSessionSegments("sess_legado")).map((s) => s.text);
+    // o HTML legado passa por htmlToSegments antes da sanitização: o texto
+    // pode diferir de HOSTILE, mas marcação não sobra
+    expect(texts).toHaveLength(HOSTILE.length + 1);
+    expect(texts.some(hasMarkup)).toBe(false);
+    expect(texts).toContain("olá");
+    expect(texts).toContain("fim");
+  });
+});
+
+describe("retenção por armazenamento", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    // a origem inteira (com o cache de modelos) não entra na conta do limite
+    vi.stubGlobal("navigator", { storage: { estimate: async () => ({ usage: 5e9, quota: 1e10 }) } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // sessão com ~0,3 MB de texto, updatedAt em ordem de criação
+  async function bigSession(app, title) {
+    const text = "palavra ".repeat(1000);
+    const segments = Array.from({ length: 40 }, (_, i) => ({ id: `seg_${i}`, text }));
+    const report = await app.persist.importSessions([{ session: { title }, segments }]);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    return report.ids[0];
+  }
+
+  it("manda as mais antigas não fixadas para a lixeira, sem apagar nada", async () => {
+    const app = createApp();
+    await app.persist.init();
+
+    const old = await bigSession(app, "antiga");
+    const pinned = await bigSession(app, "fixada");
+    const middle = await bigSession(app, "média");
+    const recent = await bigSession(app, "recente");
+    await app.persist.setPinned(pinned, true);
+
+    const report = await app.persist.setRetention({ maxCount: 0, maxStorageMB: 1 });
+
+    const state = async (id) => (await app.persist.getSessionMeta(id))?.state;
+    expect(report.purged).toBe(0);
+    expect(report.overStorage).toBe(false);
+    expect(await state(old)).toBe("trash");
+    expect(await state(pinned)).toBe("normal");
+    expect(await state(middle)).toBe("normal");
+    expect(await state(recent)).toBe("normal");
+    expect(app.ui.storage.sessionsMB).toBeLessThanOrEqual(1);
+  });
+
+  it("não esvazia a lixeira antes do prazo", async () => {
+    const app = createApp();
+    await app.persist.init();
+
+    const trashed = await bigSession(app, "na lixeira");
+    await app.persist.deleteSession(trashed);
+    await bigSession(app, "a");
+    await bigSession(app, "b");
+    await bigSession(app, "c");
+    await bigSession(app, "d");
+
+    await app.persist.setRetention({ maxCount: 0, maxStorageMB: 1 });
+
+    expect((await app.persist.getSessionMeta(trashed)).state).toBe("trash");
+  });
+});
+
+describe("restauração de backup com áudio local", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("navigator", {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // backup com uma versão mais nova da sessão (sem áudio, como todo backup)
+  function newerBackup(id) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      dbVersion: 5,
+      stores: {
+        sessions: [{ id, title: "Do backup", updatedAt: new Date(Date.now() + 60000).toISOString() }],
+        chunks: [{ sessionId: id, seq: 0, segments: [{ id: "seg_0", text: "do backup" }] }],
+        meta: [],
+      },
+    };
+  }
+
+  async function sessionWithAudio(app) {
+    const id = app.persist.getActiveSessionId();
+    await app.persist.appendAudioChunk(id, 0, 0, new Blob(["abc"], { type: "audio/webm" }));
+    await app.persist.saveAudioTake(id, { take: 0, offsetMs: 0, durationMs: 1000, mimeType: "audio/webm", bytes: 3, chunks: 1 });
+    return id;
+  }
+
+  it("mesclar mantém o áudio local da sessão sobrescrita", async () => {
+    const app = createApp();
+    await app.persist.init();
+    const id = await sessionWithAudio(app);
+
+    const plan = await app.persist.planRestore(newerBackup(id), "merge");
+    expect(plan.overwrite).toEqual([id]);
+    expect(plan.audioLost).toEqual([]);
+
+    await app.persist.restoreDatabase(newerBackup(id), "merge");
+
+    expect((await app.persist.getSessionMeta(id)).title).toBe("Do backup");
+    expect((await app.persist.getAudioTakes(id)).map((t) => t.take)).toEqual([0]);
+    expect(await app.persist.getAudioBlob(id, 0)).not.toBeNull();
+  });
+
+  it("substituir informa as sessões que perdem o áudio", async () => {
+    const app = createApp();
+    await app.persist.init();
+    const id = await sessionWithAudio(app);
+
+    const plan = await app.persist.planRestore(newerBackup(id), "replace");
+    expect(plan.audioLost).toEqual([id]);
+
+    await app.persist.restoreDatabase(newerBackup(id), "replace");
+    expect(await app.persist.getAudioTakes(id)).toEqual([]);
+  });
+});
+
+describe("autosave", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("navigator", {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("não desfaz o que foi gravado na sessão enquanto salvava", async () => {
+    const app = createApp();
+    await app.persist.init();
+    const id = app.persist.getActiveSessionId();
+    app.segments = [{ id: "seg_0", text: "fim da gravação" }];
+
+    // o Parar fecha a tomada de áudio enquanto o autosave manual roda
+    const saving = app.persist.autosaveNow("manual");
+    await app.persist.saveAudioTake(id, { take: 0, offsetMs: 0, durationMs: 1000, mimeType: "audio/webm", bytes: 3, chunks: 1 });
+    await saving;
+
+    const sess = await app.persist.getSessionMeta(id);
+    expect(sess.audio.takes).toHaveLength(1);
+    expect(sess.segmentCount).toBe(1);
+    expect((await app.persist.getSessionSegments(id)).map((s) => s.text)).toEqual(["fim da gravação"]);
+  });
+});
+
+describe("exportação e importação de sessões em JSON", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("navigator", {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("etiquetas, descrição e vocabulário vão e voltam", async () => {
+    const app = createApp();
+    await app.persist.init();
+    const id = app.persist.getActiveSessionId();
+    app.segments = [{ id: "seg_0", text: "reunião de pauta" }];
+    await app.persist.updateSessionMeta(id, { tags: ["cliente", "pauta"], description: "resumo da reunião" });
+    await app.persist.updateSessionVocabulary(id, { terms: ["Vuetify"], replacements: [{ from: "view", to: "Vue" }] });
+
+    const { sessions } = parseJSONImport(toSessionsJSON(await app.persist.exportSessions([id])), "backup.json");
+    const report = await app.persist.importSessions(sessions);
+
+    const copy = await app.persist.getSessionMeta(report.ids[0]);
+    expect(copy.tags).toEqual(["cliente", "pauta"]);
+    expect(copy.description).toBe("resumo da reunião");
+    expect(copy.vocabulary).toEqual({ terms: ["Vuetify"], replacements: [{ from: "view", to: "Vue" }] });
+  });
+
+  it("etiquetas, descrição e vocabulário importados são sanitizados", async () => {
+    const app = createApp();
+    await app.persist.init();
+
+    const { sessions } = parseJSONImport(JSON.stringify({
+      format: "webspeech-in-vue/sessions",
+      sessions: [{
+        session: {
+          title: "Hostil",
+          tags: ["<script>alert(1)</script>", "<b>tag</b>", "tag"],
+          description: "<iframe src=javascript:alert(1)></iframe>resumo",
+          vocabulary: { terms: ["<img src=x onerror=alert(1)>termo"], replacements: [{ from: "<i>a</i>", to: "<b>b</b>" }] },
+        },
+        segments: [{ text: "olá" }],
+      }],
+    }), "hostil.json");
+    const report = await app.persist.importSessions(sessions);
+
+    const sess = await app.persist.getSessionMeta(report.ids[0]);
+    expect(sess.tags).toEqual(["tag"]);
+    expect(sess.description).toBe("resumo");
+    expect(sess.vocabulary).toEqual({ terms: ["termo"], replacements: [{ from: "a", to: "b" }] });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  createPipeline,
+  normalizeNumbers,
+  capitalizeSentences,
+  maskProfanity,
+  validateRule,
+  normalizePipeline,
+  PIPELINE_STEPS,
+} from "../src/lib/postprocess";
+
+// configuração com os passos informados ligados, nessa ordem
+function pipeline(ids, extra) {
+  return createPipeline({ steps: ids.map((id) => ({ id, enabled: true })), ...extra });
+}
+
+describe("normalizeNumbers", () => {
+  it("converte números por extenso", () => {
+    expect(normalizeNumbers("vinte e três reais", "pt-BR")).toBe("23 reais");
+    expect(normalizeNumbers("cento e vinte e cinco", "pt-BR")).toBe("125");
+    expect(normalizeNumbers("mil duzentos e um", "pt-PT")).toBe("1201");
+    expect(normalizeNumbers("two hundred and five, twenty three", "en-US")).toBe("205, 23");
+  });
+
+  it("mantém números isolados abaixo de 10", () => {
+    expect(normalizeNumbers("um carro e dois livros", "pt-BR")).toBe("um carro e dois livros");
+    expect(normalizeNumbers("one of them", "en")).toBe("one of them");
+  });
+
+  it("\"um e outro\" não vira soma", () => {
+    expect(normalizeNumbers("um e outro", "pt-BR")).toBe("um e outro");
+    expect(normalizeNumbers("um e dois", "pt-BR")).toBe("um e dois");
+  });
+
+  it("ignora idiomas sem dicionário", () => {
+    expect(normalizeNumbers("veinte y tres", "es-ES")).toBe("veinte y tres");
+  });
+});
+
+describe("capitalizeSentences", () => {
+  it("maiúscula no início de cada frase e ponto final", () => {
+    expect(capitalizeSentences("olá. tudo bem? sim")).toBe("Olá. Tudo bem? Sim.");
+    expect(capitalizeSentences("ótimo… então vamos")).toBe("Ótimo… Então vamos.");
+  });
+
+  it("não duplica a pontuação final", () => {
+    expect(capitalizeSentences("pronto!")).toBe("Pronto!");
+    expect(capitalizeSentences("   ")).toBe("");
+  });
+});
+
+describe("maskProfanity", () => {
+  it("mascara palavras sem depender de caixa ou acento", () => {
+    expect(maskProfanity("que MERDA, desgraçado", "pt-BR")).toBe("que M****, d*********");
+  });
+
+  it("mascara expressões inteiras, com espaços variados", () => {
+    expect(maskProfanity("seu Filho  da PUTA!", "pt-BR")).toBe("seu F****  d* P***!");
+    expect(maskProfanity("que bolas de fogo", "pt-BR", ["bolas de fogo"])).toBe("que b**** d* f***");
+  });
+
+  it("não mascara trechos de outras palavras", () => {
+    expect(maskProfanity("cumprimento e acurado", "pt-BR")).toBe("cumprimento e acurado");
+    expect(maskProfanity("filho da putaria", "pt-BR", [])).toBe("filho da putaria");
+  });
+});
+
+describe("regras de localizar/substituir", () => {
+  it("regex inválida é apontada e ignorada", () => {
+    expect(validateRule({ find: "(" })).toMatch(/regular expression/i);
+    expect(validateRule({ find: "" })).toBe("Padrão vazio.");
+
+    const run = pipeline(["rules"], {
+      rules: [{ find: "(", replace: "x" }, { find: "zap", replace: "WhatsApp" }],
+    });
+    expect(run("manda no zap (agora)")).toBe("manda no WhatsApp (agora)");
+  });
+
+  it("aplica flags seguras e sempre global", () => {
+    const run = pipeline(["rules"], { rules: [{ find: "ok", replace: "certo", flags: "y" }] });
+    expect(run("ok ok OK")).toBe("certo certo OK");
+  });
+});
+
+describe("createPipeline", () => {
+  it("sem passos ligados só limpa espaços", () => {
+    expect(createPipeline(null)("  vinte   e três  ")).toBe("vinte e três");
+  });
+
+  it("respeita a ordem dos passos", () => {
+    const rules = [{ find: "vinte", replace: "vários" }];
+    expect(pipeline(["rules", "numbers"], { rules })("vinte e três", { language: "pt-BR" })).toBe("vários e três");
+    expect(pipeline(["numbers", "rules"], { rules })("vinte e três", { language: "pt-BR" })).toBe("23");
+  });
+
+  it("todos os passos juntos", () => {
+    const run = pipeline(["rules", "numbers", "capitalize", "profanity"], {
+      rules: [{ find: "\\s*\\btipo\\b", replace: "" }],
+    });
+    expect(run("tenho tipo vinte e dois anos. que merda", { language: "pt-BR" })).toBe("Tenho 22 anos. Que m****.");
+  });
+});
+
+describe("normalizePipeline", () => {
+  it("mantém a ordem salva, descarta desconhecidos e acrescenta os novos", () => {
+    const cfg = normalizePipeline({ steps: [{ id: "profanity", enabled: true }, { id: "x" }, { id: "profanity" }] });
+    expect(cfg.steps.map((s) => s.id)).toEqual(["profanity", "rules", "numbers", "capitalize"]);
+    expect(cfg.steps[0].enabled).toBe(true);
+    expect(cfg.steps).toHaveLength(PIPELINE_STEPS.length);
+  });
+});
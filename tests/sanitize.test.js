@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { sanitizeText, sanitizeLabel } from "../src/lib/sanitize";
+import { HOSTILE } from "./hostile";
+
+describe("sanitizeText", () => {
+  it.each(HOSTILE)("remove marcação de $input", ({ input, text }) => {
+    expect(sanitizeText(input)).toBe(text);
+  });
+
+  it("mantém \"<\" solto em texto comum", () => {
+    expect(sanitizeText("3 < 5 e 7 > 2")).toBe("3 < 5 e 7 > 2");
+  });
+
+  it("\"<\" sem \">\" na mesma linha não apaga o resto do texto", () => {
+    const text = "se a<b então\nsegunda linha\nterceira";
+    expect(sanitizeText(text)).toBe(text);
+    expect(sanitizeText("x <y\n<b>z</b>")).toBe("x <y\nz");
+  });
+
+  it("normaliza quebras de linha e aceita null", () => {
+    expect(sanitizeText("a\r\nb\rc")).toBe("a\nb\nc");
+    expect(sanitizeText(null)).toBe("");
+  });
+});
+
+describe("sanitizeLabel", () => {
+  it("uma linha, sem marcação, com tamanho limitado", () => {
+    expect(sanitizeLabel("<b>Reunião</b>\n  de   pauta")).toBe("Reunião de pauta");
+    expect(sanitizeLabel("x".repeat(300))).toHaveLength(200);
+    expect(sanitizeLabel("abcdef", 3)).toBe("abc");
+  });
+});
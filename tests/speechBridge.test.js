@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createSpeechBridge } from "../src/lib/speechBridge";
+import { HOSTILE, hasMarkup } from "./hostile";
+
+// SpeechRecognition falso: start() dispara onstart; os testes chamam onresult.
+// calls registra starts/stops; failStart faz o próximo start() da instância lançar.
+let instances = [];
+let calls = [];
+let failStart = null;
+
+class FakeRecognition {
+  constructor() {
+    this.lang = "";
+    instances.push(this);
+  }
+  start() {
+    if (failStart === this._label) {
+      failStart = null;
+      throw new Error("InvalidStateError");
+    }
+    calls.push(`start ${this._label} ${this.lang}`);
+    this.onstart && this.onstart();
+  }
+  stop() {
+    calls.push(`stop ${this._label}`);
+    this.onend && this.onend();
+  }
+  abort() {
+    this.onend && this.onend();
+  }
+}
+
+// event.results no formato da Web Speech API
+function resultEvent(list) {
+  const results = list.map(({ alternatives, isFinal }) => {
+    const r = alternatives.map((transcript) => ({ transcript, confidence: 0.9 }));
+    r.isFinal = isFinal;
+    return r;
+  });
+  return { resultIndex: 0, results };
+}
+
+describe("speechBridge com entradas hostis", () => {
+  let bridge;
+  let segments;
+  let partials;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    instances = [];
+    vi.stubGlobal("window", { SpeechRecognition: FakeRecognition });
+    vi.stubGlobal("document", { addEventListener() {}, removeEventListener() {}, hidden: false });
+
+    bridge = createSpeechBridge({ getLanguage: () => "pt-BR", getMaxAlternatives: () => 3 });
+    segments = [];
+    partials = [];
+    bridge.on("segment", (s) => segments.push(s));
+    bridge.on("partial", (p) => partials.push(p.text));
+    bridge.init();
+    bridge.start();
+  });
+
+  afterEach(() => {
+    bridge.destroy();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it.each(HOSTILE)("segmento final de $input", ({ input, text }) => {
+    instances[0].onresult(resultEvent([{ alternatives: [input], isFinal: true }]));
+    vi.advanceTimersByTime(200);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].text).toBe(text);
+  });
+
+  it("hipóteses alternativas também são sanitizadas", () => {
+    const alternatives = HOSTILE.slice(0, 3).map((h) => h.input);
+    instances[0].onresult(resultEvent([{ alternatives, isFinal: true }]));
+    vi.advanceTimersByTime(200);
+
+    // a primeira hipótese é o próprio segmento; as demais viram alternativas
+    expect(segments[0].alternatives.map((a) => a.text)).toEqual(HOSTILE.slice(1, 3).map((h) => h.text));
+  });
+
+  it("parciais não levam marcação", () => {
+    for (const h of HOSTILE) {
+      instances[0].onresult(resultEvent([{ alternatives: [h.input], isFinal: false }]));
+    }
+    expect(partials.length).toBeGreaterThan(0);
+    expect(partials.some(hasMarkup)).toBe(false);
+  });
+
+  it("texto só de marcação não vira segmento", () => {
+    instances[0].onresult(resultEvent([{ alternatives: ["<script>alert(1)</script>"], isFinal: true }]));
+    vi.advanceTimersByTime(200);
+
+    expect(segments).toHaveLength(0);
+  });
+});
+
+describe("speechBridge: troca de idioma durante a gravação", () => {
+  let bridge;
+  let log;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    instances = [];
+    calls = [];
+    failStart = null;
+    vi.stubGlobal("window", { SpeechRecognition: FakeRecognition });
+    vi.stubGlobal("document", { addEventListener() {}, removeEventListener() {}, hidden: false });
+
+    bridge = createSpeechBridge({ getLanguage: () => "pt-BR" });
+    log = [];
+    bridge.on("segment", (s) => log.push(`segment ${s.text}`));
+    bridge.on("language", (l) => log.push(`language ${l.from} -> ${l.to}`));
+    bridge.init();
+    bridge.start();
+  });
+
+  afterEach(() => {
+    bridge.destroy();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("inicia a substituta antes de parar a instância ativa", () => {
+    const [primary, backup] = instances;
+    primary.onresult(resultEvent([{ alternatives: ["antes da troca"], isFinal: true }]));
+
+    bridge.setLanguage("en-US");
+
+    expect(calls).toEqual(["start primary pt-BR", "start backup en-US", "stop primary"]);
+    expect(log).toEqual(["segment antes da troca", "language pt-BR -> en-US"]);
+
+    backup.onresult(resultEvent([{ alternatives: ["after the switch"], isFinal: true }]));
+    vi.advanceTimersByTime(200);
+    expect(log[2]).toBe("segment after the switch");
+  });
+
+  it("sem a substituta, para a ativa e inicia a outra no onend", () => {
+    failStart = "backup";
+    bridge.setLanguage("en-US");
+
+    // o onend da antiga (síncrono aqui) já reativou a substituta
+    expect(calls).toEqual(["start primary pt-BR", "stop primary", "start backup en-US"]);
+    expect(log).toEqual(["language pt-BR -> en-US"]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createWhisperBridge } from "../src/lib/whisperBridge";
+import { HOSTILE } from "./hostile";
+
+// Worker falso com o protocolo de whisper.worker.js; cada set_audio (ou cada
+// leitura, na gravação) entrega o próximo texto da fila
+let queue = [];
+
+class FakeWorker {
+  postMessage(msg) {
+    const reply = (result) => Promise.resolve().then(() => this.onmessage({ data: { id: msg.id, ok: true, result } }));
+    switch (msg.type) {
+      case "load":
+        return reply({ setPrompt: false });
+      case "init":
+        return reply(1);
+      case "get_transcribed":
+        return reply({ text: this.next != null ? this.take() : "", status: "waiting for audio ..." });
+      case "set_audio":
+        this.next = queue.shift() ?? "";
+        return reply(true);
+      case "set_prompt":
+        return reply(false);
+      default:
+        return reply(msg.type === "status" ? "" : true);
+    }
+  }
+  take() {
+    const text = this.next;
+    this.next = null;
+    return text;
+  }
+  terminate() {}
+}
+
+// gravação: o texto vem direto das leituras periódicas
+class LiveWorker extends FakeWorker {
+  postMessage(msg) {
+    if (msg.type === "get_transcribed") this.next = queue.length ? queue.shift() : null;
+    return super.postMessage(msg);
+  }
+}
+
+// decodifica qualquer arquivo como silêncio, uma janela de 5 s por texto da fila
+class FakeOfflineAudioContext {
+  constructor(channels, length) {
+    this.length = length;
+    this.destination = {};
+  }
+  decodeAudioData() {
+    return Promise.resolve({ duration: queue.length * 5 });
+  }
+  createBufferSource() {
+    return { connect() {}, start() {} };
+  }
+  startRendering() {
+    const length = this.length;
+    return Promise.resolve({ getChannelData: () => new Float32Array(length) });
+  }
+}
+
+async function loadedBridge() {
+  const bridge = createWhisperBridge({
+    getLanguage: () => "pt-BR",
+    modelManager: { load: async () => new Uint8Array(4) },
+  });
+  const loaded = new Promise((resolve) => bridge.on("model", (m) => m.state === "loaded" && resolve()));
+  bridge.loadModel("tiny");
+  await loaded;
+  return bridge;
+}
+
+describe("whisperBridge com entradas hostis", () => {
+  let bridge;
+
+  beforeEach(() => {
+    vi.stubGlobal("window", { location: { href: "http://localhost/" } });
+    vi.stubGlobal("OfflineAudioContext", FakeOfflineAudioContext);
+  });
+
+  afterEach(() => {
+    bridge && bridge.destroy();
+    bridge = null;
+    queue = [];
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("transcrição de arquivo devolve só texto", async () => {
+    vi.stubGlobal("Worker", FakeWorker);
+    bridge = await loadedBridge();
+    queue = HOSTILE.map((h) => h.input);
+
+    const segments = await bridge.transcribeFile({ name: "x.wav", arrayBuffer: async () => new ArrayBuffer(8) });
+
+    expect(segments.map((s) => s.text)).toEqual(HOSTILE.map((h) => h.text));
+  });
+
+  it("segmentos da gravação passam pela sanitização", async () => {
+    vi.stubGlobal("Worker", LiveWorker);
+    vi.stubGlobal("AudioContext", class {});
+    vi.stubGlobal("navigator", { mediaDevices: { getUserMedia: () => new Promise(() => {}) } });
+    bridge = await loadedBridge();
+
+    const segments = [];
+    bridge.on("segment", (s) => segments.push(s));
+    queue = HOSTILE.map((h) => h.input);
+
+    vi.useFakeTimers();
+    bridge.start();
+    for (let i = 0; i < HOSTILE.length * 2; i++) await vi.advanceTimersByTimeAsync(100);
+
+    expect(segments.map((s) => s.text)).toEqual(HOSTILE.map((h) => h.text));
+  });
+});